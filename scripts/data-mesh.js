@@ -4,297 +4,4425 @@
  *
  * Inspired by `dot-grid-background.js` structure and lifecycle.
  */
-class DataMeshGraph extends HTMLElement {
+/**
+ * Uniform bucket grid over unit vectors for nearest-neighbor queries on the sphere.
+ * Points are bucketed by their (x, y, z) cell, and queries scan cubic shells of cells
+ * outward until the k-th best chord distance is closer than any unvisited cell.
+ * Kept free of DOM access so the same class can run inside the neighbor worker.
+ */
+class SphereGrid {
     constructor() {
-        super();
-        this.attachShadow({ mode: 'open' });
+        this.cellSize = 1;
+        this.dim = 1;
+        this.cellStart = new Int32Array(2);
+        this.cellItems = new Int32Array(0);
+        this.vx = null;
+        this.vy = null;
+        this.vz = null;
+        this.count = 0;
+    }
 
-        // Visual configuration (designed for white backgrounds)
-        this.backgroundColor = '#ffffff';
-        this.nodeColor = '#000000';
-        this.linkColor = '#000000';
-        this.nodeSize = 1.8;
-        this.linkWidth = 1.0;
+    // Bucket `count` unit vectors (counting sort into a flat cell array)
+    build(vx, vy, vz, count) {
+        // Aim for a handful of points per occupied surface cell
+        const cellSize = Math.min(1, Math.max(0.01, Math.sqrt((4 * Math.PI * 4) / Math.max(1, count))));
+        const dim = Math.min(128, Math.ceil(2 / cellSize));
+        const cells = dim * dim * dim;
+        if (this.cellStart.length !== cells + 1) this.cellStart = new Int32Array(cells + 1);
+        else this.cellStart.fill(0);
+        if (this.cellItems.length < count) this.cellItems = new Int32Array(count);
 
-        // Geometry
-        this.nodeCount = 120; // reasonable default
-        this.connectionsPerNode = 3; // k-nearest neighbors
-        this.depth = 800; // perspective depth to keep object at a distance
+        this.cellSize = 2 / dim;
+        this.dim = dim;
+        this.vx = vx; this.vy = vy; this.vz = vz;
+        this.count = count;
 
-        // Animation
-        this.rotationSpeedX = 0.0025;
-        this.rotationSpeedY = 0.0015;
-        this.autoRewire = false; // drift-based morphology supersedes rewiring
-        this.rewireIntervalMs = 2000;
-        this.rewireAmount = 0.03;
+        const start = this.cellStart;
+        for (let i = 0; i < count; i++) start[this.cellOf(vx[i], vy[i], vz[i]) + 1]++;
+        for (let c = 0; c < cells; c++) start[c + 1] += start[c];
+        const fill = start.slice(0, cells);
+        for (let i = 0; i < count; i++) this.cellItems[fill[this.cellOf(vx[i], vy[i], vz[i])]++] = i;
+    }
 
-        // Neighbor graph constraints (avoid long chords through center)
-        this.maxNeighborAngle = 1.1; // radians (~63°)
-        this.edgeUpdateIntervalMs = 800;
+    axisCell(v) {
+        return Math.max(0, Math.min(this.dim - 1, Math.floor((v + 1) / this.cellSize)));
+    }
 
-        // State
-        this.canvas = null;
-        this.ctx = null;
-        this.animationId = null;
-        this.nodes = [];
-        this.edges = [];
-        this.angleX = 0;
-        this.angleY = 0;
-        this.angularVelX = 0;
-        this.angularVelY = 0;
-        this.lastRewireTime = 0;
-        this.lastEdgeUpdateTime = 0;
-        this.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    cellOf(x, y, z) {
+        const d = this.dim;
+        return (this.axisCell(x) * d + this.axisCell(y)) * d + this.axisCell(z);
+    }
 
-        // Pointer/mouse support and interaction state
-        this.hasMouseSupport = window.matchMedia('(pointer: fine)').matches;
-        this.isDragging = false;
-        this.lastPointerX = 0;
-        this.lastPointerY = 0;
-        this.mouseX = 0;
-        this.mouseY = 0;
-        this.userNodeActive = false;
-        this.userNodeEdges = [];
+    /**
+     * Up to k nearest points to (x, y, z) within maxChord2 (squared chord length),
+     * written into outIndex/outDist sorted by distance. Returns the number found.
+     */
+    nearest(x, y, z, k, maxChord2, skip, outIndex, outDist) {
+        const d = this.dim;
+        const cx = this.axisCell(x), cy = this.axisCell(y), cz = this.axisCell(z);
+        const { cellStart, cellItems, vx, vy, vz } = this;
+        let found = 0;
 
-        // Per-node drift on the sphere to morph shape over time
-        this.driftSpeedBase = 0.14; // radians/sec base (more pronounced morphing)
-        this.lastUpdateTime = Date.now();
-        this.lastHullLength = 0;
+        for (let r = 0; r <= d; r++) {
+            for (let ix = cx - r; ix <= cx + r; ix++) {
+                if (ix < 0 || ix >= d) continue;
+                const edgeX = ix === cx - r || ix === cx + r;
+                for (let iy = cy - r; iy <= cy + r; iy++) {
+                    if (iy < 0 || iy >= d) continue;
+                    const edgeY = edgeX || iy === cy - r || iy === cy + r;
+                    // Only the shell at Chebyshev distance r; inner cells were visited already
+                    const stepZ = edgeY ? 1 : Math.max(1, 2 * r);
+                    for (let iz = cz - r; iz <= cz + r; iz += stepZ) {
+                        if (iz < 0 || iz >= d) continue;
+                        const cell = (ix * d + iy) * d + iz;
+                        for (let p = cellStart[cell]; p < cellStart[cell + 1]; p++) {
+                            const j = cellItems[p];
+                            if (j === skip) continue;
+                            const dx = vx[j] - x, dy = vy[j] - y, dz = vz[j] - z;
+                            const dist = dx * dx + dy * dy + dz * dz;
+                            if (dist > maxChord2 || (found === k && dist >= outDist[k - 1])) continue;
+                            // Insertion into the sorted k-best buffer
+                            let pos = found < k ? found++ : k - 1;
+                            while (pos > 0 && outDist[pos - 1] > dist) {
+                                outDist[pos] = outDist[pos - 1];
+                                outIndex[pos] = outIndex[pos - 1];
+                                pos--;
+                            }
+                            outDist[pos] = dist;
+                            outIndex[pos] = j;
+                        }
+                    }
+                }
+            }
+            // Every unvisited point is at least r cells away from the query
+            const bound = r * this.cellSize;
+            if (found === k && outDist[k - 1] <= bound * bound) break;
+            if (bound * bound > maxChord2) break;
+        }
+        return found;
+    }
 
-        this.init();
+    // Undirected k-nearest-neighbor edges within maxAngle as flat [a0, b0, a1, b1, ...] pairs
+    knnEdges(k, maxAngle) {
+        const maxChord2 = 2 - 2 * Math.cos(maxAngle);
+        const outIndex = new Int32Array(k);
+        const outDist = new Float64Array(k);
+        const n = this.count;
+        const seen = new Set();
+        const pairs = [];
+        for (let i = 0; i < n; i++) {
+            const found = this.nearest(this.vx[i], this.vy[i], this.vz[i], k, maxChord2, i, outIndex, outDist);
+            for (let m = 0; m < found; m++) {
+                const j = outIndex[m];
+                const a = i < j ? i : j;
+                const b = i < j ? j : i;
+                const key = a * n + b;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    pairs.push(a, b);
+                }
+            }
+        }
+        return Uint32Array.from(pairs);
     }
 
-    // Initialize component
-    init() {
-        this.setupStyles();
-        this.setupCanvas();
-        this.bindEvents();
-        this.generateGraph();
-        this.startAnimation();
+    // Reference all-pairs scan with the same output as knnEdges (used for benchmarks)
+    static bruteForceEdges(vx, vy, vz, n, k, maxAngle) {
+        const minDot = Math.cos(maxAngle);
+        const seen = new Set();
+        const pairs = [];
+        for (let i = 0; i < n; i++) {
+            const candidates = [];
+            for (let j = 0; j < n; j++) {
+                if (i === j) continue;
+                const dot = vx[i] * vx[j] + vy[i] * vy[j] + vz[i] * vz[j];
+                if (dot >= minDot) candidates.push({ j, dot });
+            }
+            candidates.sort((a, b) => b.dot - a.dot);
+            const limit = Math.min(k, candidates.length);
+            for (let m = 0; m < limit; m++) {
+                const j = candidates[m].j;
+                const a = i < j ? i : j;
+                const b = i < j ? j : i;
+                const key = a * n + b;
+                if (!seen.has(key)) {
+                    seen.add(key);
+                    pairs.push(a, b);
+                }
+            }
+        }
+        return Uint32Array.from(pairs);
     }
+}
 
-    // Shadow DOM styles
-    setupStyles() {
-        const style = document.createElement('style');
-        style.textContent = `
-      :host {
-        display: block;
-        position: relative;
-        width: 100%;
-        height: 100%;
-        overflow: hidden;
-      }
-      canvas {
-        display: block;
-        width: 100%;
-        height: 100%;
-      }
-    `;
-        this.shadowRoot.appendChild(style);
+// Source for the optional neighbor worker, built from SphereGrid so both share one implementation
+const NEIGHBOR_WORKER_SOURCE = `${SphereGrid.toString()}
+const grid = new SphereGrid();
+self.onmessage = (e) => {
+    const { id, vx, vy, vz, count, k, maxAngle, indexed } = e.data;
+    const started = performance.now();
+    let pairs;
+    if (indexed) {
+        grid.build(vx, vy, vz, count);
+        pairs = grid.knnEdges(k, maxAngle);
+    } else {
+        pairs = SphereGrid.bruteForceEdges(vx, vy, vz, count, k, maxAngle);
     }
+    self.postMessage({ id, pairs, ms: performance.now() - started }, [pairs.buffer]);
+};
+`;
 
-    // Create canvas
-    setupCanvas() {
-        this.canvas = document.createElement('canvas');
-        this.ctx = this.canvas.getContext('2d');
-        this.shadowRoot.appendChild(this.canvas);
-        this.resizeCanvas();
+/**
+ * Instanced WebGL backend for DataMeshGraph. Nodes are drawn as antialiased point
+ * sprites (one quad instance per node) and edges as screen-space quads, batched
+ * into a single draw call each. Positions, colors and alphas are computed by the
+ * component exactly as for Canvas2D; this class only rasterizes them.
+ */
+class WebGLMeshRenderer {
+    // Returns a renderer for the canvas, or null when only a slow or no WebGL context exists
+    static create(canvas) {
+        const attributes = { antialias: true, premultipliedAlpha: true, failIfMajorPerformanceCaveat: true };
+        let gl = canvas.getContext('webgl2', attributes);
+        let instancing = null;
+        if (!gl) {
+            gl = canvas.getContext('webgl', attributes);
+            instancing = gl && gl.getExtension('ANGLE_instanced_arrays');
+            if (!instancing) return null;
+        }
+        if (WebGLMeshRenderer.isSoftwareRenderer(gl)) return null;
+        try {
+            return new WebGLMeshRenderer(gl, instancing);
+        } catch (err) {
+            return null; // e.g. a shader that fails to compile on this driver
+        }
     }
 
-    resizeCanvas() {
-        const rect = this.getBoundingClientRect();
-        const dpr = window.devicePixelRatio || 1;
+    // Software rasterizers are slower than Canvas2D for this workload
+    static isSoftwareRenderer(gl) {
+        const info = gl.getExtension('WEBGL_debug_renderer_info');
+        const name = info ? gl.getParameter(info.UNMASKED_RENDERER_WEBGL) : gl.getParameter(gl.RENDERER);
+        return /swiftshader|llvmpipe|softpipe|software|basic render/i.test(String(name));
+    }
 
-        this.canvas.width = rect.width * dpr;
-        this.canvas.height = rect.height * dpr;
-        this.canvas.style.width = rect.width + 'px';
-        this.canvas.style.height = rect.height + 'px';
+    constructor(gl, instancing) {
+        this.gl = gl;
+        this.instancing = instancing; // ANGLE_instanced_arrays on WebGL1, null on WebGL2
+        this.width = 1;
+        this.height = 1;
+        this.pixelRatio = 1;
+        this.colors = new Map();
+        this.colorContext = document.createElement('canvas').getContext('2d');
 
-        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
-        this.ctx.scale(dpr, dpr);
+        this.edgeProgram = this.createProgram(`
+            attribute vec2 a_corner;
+            attribute vec4 a_ends;
+            attribute float a_width;
+            attribute vec4 a_color;
+            uniform vec2 u_resolution;
+            varying vec4 v_color;
+            void main() {
+                vec2 dir = a_ends.zw - a_ends.xy;
+                float len = length(dir);
+                vec2 normal = len > 0.0 ? vec2(-dir.y, dir.x) / len : vec2(0.0);
+                vec2 pos = mix(a_ends.xy, a_ends.zw, a_corner.x) + normal * a_corner.y * a_width * 0.5;
+                vec2 clip = pos / u_resolution * 2.0 - 1.0;
+                gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+                v_color = a_color;
+            }
+        `, `
+            precision mediump float;
+            varying vec4 v_color;
+            void main() {
+                gl_FragColor = vec4(v_color.rgb * v_color.a, v_color.a);
+            }
+        `, ['a_corner', 'a_ends', 'a_width', 'a_color']);
 
-        // Regenerate to fit new bounds
-        this.generateGraph();
+        this.nodeProgram = this.createProgram(`
+            attribute vec2 a_corner;
+            attribute vec3 a_node;
+            attribute vec4 a_color;
+            uniform vec2 u_resolution;
+            varying vec2 v_local;
+            varying float v_radius;
+            varying vec4 v_color;
+            void main() {
+                v_local = a_corner * (a_node.z + 1.0);
+                v_radius = a_node.z;
+                vec2 clip = (a_node.xy + v_local) / u_resolution * 2.0 - 1.0;
+                gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+                v_color = a_color;
+            }
+        `, `
+            precision mediump float;
+            uniform float u_pixelRatio;
+            varying vec2 v_local;
+            varying float v_radius;
+            varying vec4 v_color;
+            void main() {
+                float coverage = clamp((v_radius - length(v_local)) * u_pixelRatio + 0.5, 0.0, 1.0);
+                float alpha = v_color.a * coverage;
+                gl_FragColor = vec4(v_color.rgb * alpha, alpha);
+            }
+        `, ['a_corner', 'a_node', 'a_color']);
+
+        // Shared unit quads: edges span (0..1, -1..1), node sprites (-1..1, -1..1)
+        this.edgeQuad = this.createBuffer(new Float32Array([0, -1, 1, -1, 0, 1, 1, 1]));
+        this.nodeQuad = this.createBuffer(new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]));
+
+        // Per-instance data: edges (ax, ay, bx, by, width, r, g, b, a), nodes (x, y, radius, r, g, b, a)
+        this.edgeData = new Float32Array(9 * 1024);
+        this.nodeData = new Float32Array(7 * 1024);
+        this.edgeCount = 0;
+        this.nodeCount = 0;
+        this.edgeBuffer = gl.createBuffer();
+        this.nodeBuffer = gl.createBuffer();
+
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA); // premultiplied output
     }
 
-    // Bind listeners
-    bindEvents() {
-        this.handleResize = this.resizeCanvas.bind(this);
-        window.addEventListener('resize', this.handleResize);
+    createProgram(vertexSource, fragmentSource, attributes) {
+        const gl = this.gl;
+        const compile = (type, source) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(gl.getShaderInfoLog(shader) || 'shader compile failed');
+            }
+            return shader;
+        };
+        const program = gl.createProgram();
+        gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+        gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(gl.getProgramInfoLog(program) || 'program link failed');
+        }
+        const locations = {};
+        attributes.forEach((name) => { locations[name] = gl.getAttribLocation(program, name); });
+        return {
+            program,
+            attributes: locations,
+            resolution: gl.getUniformLocation(program, 'u_resolution'),
+            pixelRatio: gl.getUniformLocation(program, 'u_pixelRatio')
+        };
+    }
 
-        // Reduced motion preference
-        this.reducedMotionMediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
-        this.handleReducedMotionChange = (e) => {
-            this.prefersReducedMotion = e.matches;
+    createBuffer(data) {
+        const gl = this.gl;
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data, gl.STATIC_DRAW);
+        return buffer;
+    }
+
+    // Size of the drawing area in CSS pixels
+    resize(width, height, pixelRatio) {
+        this.width = Math.max(1, width);
+        this.height = Math.max(1, height);
+        this.pixelRatio = pixelRatio;
+        this.gl.viewport(0, 0, this.gl.drawingBufferWidth, this.gl.drawingBufferHeight);
+    }
+
+    // CSS color string -> [r, g, b, a] in 0..1, normalized through Canvas2D
+    parseColor(css) {
+        let rgba = this.colors.get(css);
+        if (rgba) return rgba;
+        const ctx = this.colorContext;
+        ctx.fillStyle = '#000000';
+        ctx.fillStyle = css;
+        const value = String(ctx.fillStyle);
+        if (value[0] === '#') {
+            rgba = [1, 3, 5].map((i) => parseInt(value.slice(i, i + 2), 16) / 255).concat(1);
+        } else {
+            const parts = value.slice(value.indexOf('(') + 1, -1).split(',').map(parseFloat);
+            rgba = [parts[0] / 255, parts[1] / 255, parts[2] / 255, parts.length > 3 ? parts[3] : 1];
+        }
+        this.colors.set(css, rgba);
+        return rgba;
+    }
+
+    begin(backgroundColor) {
+        const gl = this.gl;
+        const [r, g, b, a] = this.parseColor(backgroundColor);
+        gl.clearColor(r * a, g * a, b * a, a);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        this.edgeCount = 0;
+        this.nodeCount = 0;
+    }
+
+    addEdge(ax, ay, bx, by, width, color, alpha) {
+        if (this.edgeData.length < (this.edgeCount + 1) * 9) {
+            const grown = new Float32Array(this.edgeData.length * 2);
+            grown.set(this.edgeData);
+            this.edgeData = grown;
+        }
+        const rgba = this.parseColor(color);
+        const o = this.edgeCount++ * 9;
+        const d = this.edgeData;
+        d[o] = ax; d[o + 1] = ay; d[o + 2] = bx; d[o + 3] = by; d[o + 4] = width;
+        d[o + 5] = rgba[0]; d[o + 6] = rgba[1]; d[o + 7] = rgba[2]; d[o + 8] = rgba[3] * alpha;
+    }
+
+    addNode(x, y, radius, color, alpha) {
+        if (this.nodeData.length < (this.nodeCount + 1) * 7) {
+            const grown = new Float32Array(this.nodeData.length * 2);
+            grown.set(this.nodeData);
+            this.nodeData = grown;
+        }
+        const rgba = this.parseColor(color);
+        const o = this.nodeCount++ * 7;
+        const d = this.nodeData;
+        d[o] = x; d[o + 1] = y; d[o + 2] = radius;
+        d[o + 3] = rgba[0]; d[o + 4] = rgba[1]; d[o + 5] = rgba[2]; d[o + 6] = rgba[3] * alpha;
+    }
+
+    // Draw all queued edges, then all queued nodes
+    flush() {
+        this.drawInstances(this.edgeProgram, this.edgeQuad, this.edgeBuffer, this.edgeData, this.edgeCount, 9,
+            [['a_ends', 4, 0], ['a_width', 1, 4], ['a_color', 4, 5]]);
+        this.drawInstances(this.nodeProgram, this.nodeQuad, this.nodeBuffer, this.nodeData, this.nodeCount, 7,
+            [['a_node', 3, 0], ['a_color', 4, 3]]);
+    }
+
+    drawInstances(info, quad, buffer, data, count, stride, layout) {
+        if (!count) return;
+        const gl = this.gl;
+        gl.useProgram(info.program);
+        gl.uniform2f(info.resolution, this.width, this.height);
+        if (info.pixelRatio) gl.uniform1f(info.pixelRatio, this.pixelRatio);
+
+        const enabled = [];
+        const corner = info.attributes.a_corner;
+        gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+        gl.enableVertexAttribArray(corner);
+        gl.vertexAttribPointer(corner, 2, gl.FLOAT, false, 0, 0);
+        this.setDivisor(corner, 0);
+        enabled.push(corner);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+        gl.bufferData(gl.ARRAY_BUFFER, data.subarray(0, count * stride), gl.DYNAMIC_DRAW);
+        layout.forEach(([name, size, offset]) => {
+            const location = info.attributes[name];
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride * 4, offset * 4);
+            this.setDivisor(location, 1);
+            enabled.push(location);
+        });
+
+        if (this.instancing) this.instancing.drawArraysInstancedANGLE(gl.TRIANGLE_STRIP, 0, 4, count);
+        else gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, count);
+
+        enabled.forEach((location) => {
+            this.setDivisor(location, 0);
+            gl.disableVertexAttribArray(location);
+        });
+    }
+
+    setDivisor(location, divisor) {
+        if (this.instancing) this.instancing.vertexAttribDivisorANGLE(location, divisor);
+        else this.gl.vertexAttribDivisor(location, divisor);
+    }
+
+    dispose() {
+        const gl = this.gl;
+        [this.edgeQuad, this.nodeQuad, this.edgeBuffer, this.nodeBuffer].forEach((b) => gl.deleteBuffer(b));
+        gl.deleteProgram(this.edgeProgram.program);
+        gl.deleteProgram(this.nodeProgram.program);
+        const lose = gl.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext();
+    }
+}
+
+/**
+ * Parsers for graph exchange formats (GraphML, GEXF, Graphviz DOT, CSV/TSV edge
+ * lists and JSON). Every parser returns `{nodes, edges}` in the shape accepted by
+ * DataMeshGraph.setGraph: nodes are `{id, label?, group?, ...attributes}` and edges
+ * `{source, target, weight?, label?, directed?, ...attributes}`. Malformed input
+ * throws an Error carrying `format` and, where known, the 1-based `line`.
+ */
+class GraphFormats {
+    static get FORMATS() {
+        return ['json', 'graphml', 'gexf', 'dot', 'csv', 'tsv'];
+    }
+
+    static parse(text, format) {
+        const type = String(format || GraphFormats.detect(text)).toLowerCase();
+        switch (type) {
+            case 'json': return GraphFormats.parseJSON(text);
+            case 'graphml': return GraphFormats.parseGraphML(text);
+            case 'gexf': return GraphFormats.parseGEXF(text);
+            case 'dot':
+            case 'gv': return GraphFormats.parseDOT(text);
+            case 'csv': return GraphFormats.parseDelimited(text, 'csv');
+            case 'tsv': return GraphFormats.parseDelimited(text, 'tsv');
+            default:
+                throw GraphFormats.error(type, `unsupported format "${type}" (expected one of ${GraphFormats.FORMATS.join(', ')})`);
+        }
+    }
+
+    // Format from a file name or URL extension, or null when it has none we know
+    static formatForName(name) {
+        const match = /\.([a-z0-9]+)$/i.exec(String(name || '').split(/[?#]/)[0]);
+        if (!match) return null;
+        const ext = match[1].toLowerCase();
+        if (ext === 'gv') return 'dot';
+        if (ext === 'xml') return null; // could be GraphML or GEXF; sniff the content
+        return GraphFormats.FORMATS.includes(ext) ? ext : null;
+    }
+
+    // Guess the format from the content
+    static detect(text) {
+        const head = String(text).replace(/^\ufeff/, '').trimStart().slice(0, 2000);
+        if (/^[[{]/.test(head)) return 'json';
+        if (head.startsWith('<')) {
+            if (/<graphml[\s>]/i.test(head)) return 'graphml';
+            if (/<gexf[\s>]/i.test(head)) return 'gexf';
+            return 'graphml';
+        }
+        if (/^(strict\s+)?(di)?graph\b/i.test(head.replace(/^(\s*(\/\/|#)[^\n]*\n|\s*\/\*[\s\S]*?\*\/)*/, '').trimStart())) return 'dot';
+        const firstLine = head.split(/\r?\n/)[0];
+        return firstLine.includes('\t') ? 'tsv' : 'csv';
+    }
+
+    static error(format, message, line) {
+        const err = new Error(`${String(format).toUpperCase()} parse error${line ? ` on line ${line}` : ''}: ${message}`);
+        err.format = format;
+        if (line) err.line = line;
+        return err;
+    }
+
+    // Map common attribute spellings onto label/group/weight and convert numeric strings
+    static normalizeAttributes(attrs) {
+        const out = {};
+        const aliases = {
+            label: 'label', name: 'label',
+            group: 'group', community: 'group', cluster: 'group', modularity_class: 'group', category: 'group',
+            weight: 'weight', value: 'weight'
         };
-        this.reducedMotionMediaQuery.addEventListener('change', this.handleReducedMotionChange);
+        Object.keys(attrs).forEach((key) => {
+            const alias = aliases[key.toLowerCase()];
+            // an exact "label"/"group"/"weight" wins over its aliases
+            const name = alias && !(alias !== key && alias in attrs) ? alias : key;
+            if (!(name in out)) out[name] = attrs[key];
+        });
+        if (typeof out.weight === 'string' && out.weight.trim() !== '' && isFinite(out.weight)) out.weight = Number(out.weight);
+        if (typeof out.throughput === 'string' && out.throughput.trim() !== '' && isFinite(out.throughput)) out.throughput = Number(out.throughput);
+        return out;
+    }
 
-        // Pause when not visible
-        this.observer = new IntersectionObserver(
-            (entries) => {
-                entries.forEach((entry) => {
-                    if (entry.isIntersecting) {
-                        this.startAnimation();
-                    } else {
-                        this.stopAnimation();
+    static parseJSON(text) {
+        let graph;
+        try {
+            graph = JSON.parse(text);
+        } catch (err) {
+            throw GraphFormats.error('json', err.message);
+        }
+        if (!graph || typeof graph !== 'object' || !Array.isArray(graph.nodes)) {
+            throw GraphFormats.error('json', 'expected an object with a "nodes" array');
+        }
+        ['edges', 'links'].forEach((key) => {
+            if (graph[key] != null && !Array.isArray(graph[key])) {
+                throw GraphFormats.error('json', `expected "${key}" to be an array`);
+            }
+        });
+        return graph;
+    }
+
+    static parseXML(text, format) {
+        if (typeof DOMParser === 'undefined') throw GraphFormats.error(format, 'DOMParser is not available');
+        let doc;
+        try {
+            doc = new DOMParser().parseFromString(text, 'application/xml');
+        } catch (err) {
+            throw GraphFormats.error(format, err.message);
+        }
+        const failure = doc.getElementsByTagName('parsererror')[0];
+        if (failure) {
+            const message = failure.textContent.trim().split('\n')[0];
+            const line = /line (?:number )?(\d+)/i.exec(failure.textContent);
+            throw GraphFormats.error(format, message || 'malformed XML', line ? Number(line[1]) : undefined);
+        }
+        return doc;
+    }
+
+    // Child elements by local name, ignoring namespaces (GraphML/GEXF files use several)
+    static children(parent, name) {
+        return Array.from(parent.childNodes).filter((c) => c.nodeType === 1 && (c.localName || c.nodeName) === name);
+    }
+
+    static descendants(parent, name) {
+        return Array.from(parent.getElementsByTagName('*')).filter((c) => (c.localName || c.nodeName) === name);
+    }
+
+    static typedValue(raw, type) {
+        const t = String(type || 'string').toLowerCase();
+        if (['int', 'long', 'integer', 'float', 'double'].includes(t)) {
+            const n = Number(raw);
+            return raw.trim() !== '' && isFinite(n) ? n : raw;
+        }
+        if (t === 'boolean') return raw.trim().toLowerCase() === 'true';
+        return raw;
+    }
+
+    static parseGraphML(text) {
+        const doc = GraphFormats.parseXML(text, 'graphml');
+        const root = doc.documentElement;
+        if ((root.localName || root.nodeName) !== 'graphml') throw GraphFormats.error('graphml', `expected <graphml> root, found <${root.nodeName}>`);
+        const graph = GraphFormats.children(root, 'graph')[0];
+        if (!graph) throw GraphFormats.error('graphml', 'missing <graph> element');
+
+        // <key id="d0" for="node" attr.name="label" attr.type="string"><default>..</default></key>
+        const keys = new Map();
+        const defaults = { node: {}, edge: {} };
+        GraphFormats.children(root, 'key').forEach((key) => {
+            const info = {
+                name: key.getAttribute('attr.name') || key.getAttribute('id'),
+                type: key.getAttribute('attr.type'),
+                domain: key.getAttribute('for') || 'all'
+            };
+            keys.set(key.getAttribute('id'), info);
+            const fallback = GraphFormats.children(key, 'default')[0];
+            if (fallback) {
+                ['node', 'edge'].forEach((domain) => {
+                    if (info.domain === domain || info.domain === 'all') {
+                        defaults[domain][info.name] = GraphFormats.typedValue(fallback.textContent, info.type);
                     }
                 });
-            },
-            { threshold: 0.1 }
-        );
-        this.observer.observe(this);
-
-        // Pointer interactions (spin + hover node)
-        this.onPointerDown = (e) => {
-            this.isDragging = true;
-            this.lastPointerX = e.clientX;
-            this.lastPointerY = e.clientY;
-            if (this.setPointerCapture && e.pointerId != null) {
-                try { this.setPointerCapture(e.pointerId); } catch (_) { }
             }
+        });
+        const readData = (el, domain) => {
+            const attrs = { ...defaults[domain] };
+            GraphFormats.children(el, 'data').forEach((d) => {
+                const info = keys.get(d.getAttribute('key')) || { name: d.getAttribute('key') };
+                attrs[info.name] = GraphFormats.typedValue(d.textContent, info.type);
+            });
+            return attrs;
         };
-        this.onPointerMove = (e) => {
-            const rect = this.getBoundingClientRect();
-            this.mouseX = e.clientX - rect.left;
-            this.mouseY = e.clientY - rect.top;
 
-            if (this.isDragging) {
-                const dx = e.clientX - this.lastPointerX;
-                const dy = e.clientY - this.lastPointerY;
-                this.lastPointerX = e.clientX;
-                this.lastPointerY = e.clientY;
-                // Update angular velocity (front-surface feel)
-                this.angularVelY += -dx * 0.0009; // invert for intuitive yaw
-                this.angularVelX += -dy * 0.0009; // invert for intuitive pitch
+        const directedDefault = graph.getAttribute('edgedefault') !== 'undirected';
+        const nodes = GraphFormats.descendants(graph, 'node').map((el) => {
+            const id = el.getAttribute('id');
+            if (id === null) throw GraphFormats.error('graphml', '<node> without an id');
+            const node = { ...GraphFormats.normalizeAttributes(readData(el, 'node')), id };
+            // Nested graphs: the enclosing node is the group unless one is set
+            const parent = el.parentNode && el.parentNode.parentNode;
+            if (node.group === undefined && parent && (parent.localName || parent.nodeName) === 'node') {
+                node.group = parent.getAttribute('id');
             }
+            return node;
+        });
+        const edges = GraphFormats.descendants(graph, 'edge').map((el) => {
+            const source = el.getAttribute('source');
+            const target = el.getAttribute('target');
+            if (source === null || target === null) throw GraphFormats.error('graphml', '<edge> needs source and target');
+            const directed = el.hasAttribute('directed') ? el.getAttribute('directed') === 'true' : directedDefault;
+            return { ...GraphFormats.normalizeAttributes(readData(el, 'edge')), source, target, directed };
+        });
+        return { nodes, edges };
+    }
 
-            if (this.hasMouseSupport) {
-                this.userNodeActive = (this.mouseX >= 0 && this.mouseX <= rect.width && this.mouseY >= 0 && this.mouseY <= rect.height);
-            } else {
-                this.userNodeActive = false;
-            }
+    static parseGEXF(text) {
+        const doc = GraphFormats.parseXML(text, 'gexf');
+        const root = doc.documentElement;
+        if ((root.localName || root.nodeName) !== 'gexf') throw GraphFormats.error('gexf', `expected <gexf> root, found <${root.nodeName}>`);
+        const graph = GraphFormats.children(root, 'graph')[0];
+        if (!graph) throw GraphFormats.error('gexf', 'missing <graph> element');
+
+        // <attributes class="node"><attribute id="0" title="group" type="string"/></attributes>
+        const attributes = { node: new Map(), edge: new Map() };
+        GraphFormats.children(graph, 'attributes').forEach((block) => {
+            const domain = block.getAttribute('class') === 'edge' ? 'edge' : 'node';
+            GraphFormats.children(block, 'attribute').forEach((a) => {
+                const fallback = GraphFormats.children(a, 'default')[0];
+                attributes[domain].set(a.getAttribute('id'), {
+                    name: a.getAttribute('title') || a.getAttribute('id'),
+                    type: a.getAttribute('type'),
+                    fallback: fallback ? fallback.textContent : null
+                });
+            });
+        });
+        const readValues = (el, domain) => {
+            const attrs = {};
+            attributes[domain].forEach((info) => {
+                if (info.fallback !== null) attrs[info.name] = GraphFormats.typedValue(info.fallback, info.type);
+            });
+            GraphFormats.children(el, 'attvalues').forEach((block) => {
+                GraphFormats.children(block, 'attvalue').forEach((v) => {
+                    const key = v.getAttribute('for') || v.getAttribute('id');
+                    const info = attributes[domain].get(key) || { name: key };
+                    attrs[info.name] = GraphFormats.typedValue(v.getAttribute('value') || '', info.type);
+                });
+            });
+            return attrs;
         };
-        this.onPointerUp = (e) => {
-            this.isDragging = false;
-            if (this.releasePointerCapture && e.pointerId != null) {
-                try { this.releasePointerCapture(e.pointerId); } catch (_) { }
+
+        const directedDefault = graph.getAttribute('defaultedgetype') !== 'undirected';
+        const nodes = GraphFormats.descendants(graph, 'node').map((el) => {
+            const id = el.getAttribute('id');
+            if (id === null) throw GraphFormats.error('gexf', '<node> without an id');
+            const node = { ...GraphFormats.normalizeAttributes(readValues(el, 'node')), id };
+            if (el.hasAttribute('label')) node.label = el.getAttribute('label');
+            // GEXF hierarchies: pid names the parent node, used as the group when none is set
+            if (node.group === undefined && el.hasAttribute('pid')) node.group = el.getAttribute('pid');
+            return node;
+        });
+        const edges = GraphFormats.descendants(graph, 'edge').map((el) => {
+            const source = el.getAttribute('source');
+            const target = el.getAttribute('target');
+            if (source === null || target === null) throw GraphFormats.error('gexf', '<edge> needs source and target');
+            const edge = { ...GraphFormats.normalizeAttributes(readValues(el, 'edge')), source, target };
+            if (el.hasAttribute('label')) edge.label = el.getAttribute('label');
+            if (el.hasAttribute('weight')) edge.weight = GraphFormats.typedValue(el.getAttribute('weight'), 'double');
+            const type = el.getAttribute('type');
+            edge.directed = type ? type !== 'undirected' : directedDefault;
+            return edge;
+        });
+        return { nodes, edges };
+    }
+
+    // Graphviz DOT: node, edge, attribute and subgraph statements. Nodes declared
+    // inside a subgraph take its label (or name, without a "cluster" prefix) as group.
+    static parseDOT(text) {
+        const tokens = GraphFormats.tokenizeDOT(text);
+        let pos = 0;
+        const peek = () => tokens[pos];
+        const next = () => tokens[pos++];
+        const fail = (message, token = peek() || tokens[tokens.length - 1]) => GraphFormats.error('dot', message, token ? token.line : undefined);
+        const expect = (value) => {
+            const token = next();
+            if (!token || token.value !== value || token.quoted) throw fail(`expected "${value}" but found ${token ? `"${token.value}"` : 'end of input'}`, token);
+            return token;
+        };
+        const isSymbol = (token, value) => token && !token.quoted && token.value === value;
+        const keyword = (token, value) => token && !token.quoted && token.value.toLowerCase() === value;
+
+        const nodes = new Map();
+        const edges = [];
+        if (keyword(peek(), 'strict')) next();
+        const kind = next();
+        if (!keyword(kind, 'graph') && !keyword(kind, 'digraph')) throw fail('expected "graph" or "digraph"', kind);
+        const directed = keyword(kind, 'digraph');
+        if (peek() && !isSymbol(peek(), '{')) next(); // graph id
+        expect('{');
+
+        const readId = () => {
+            const token = next();
+            if (!token || (!token.quoted && /^[{}[\];,=]$|^-[->]$/.test(token.value))) {
+                throw fail(`expected an identifier but found ${token ? `"${token.value}"` : 'end of input'}`, token);
             }
+            return token.value;
         };
-        this.onPointerLeave = () => {
+        const readAttrList = () => {
+            const attrs = {};
+            while (isSymbol(peek(), '[')) {
+                next();
+                while (!isSymbol(peek(), ']')) {
+                    if (!peek()) throw fail('unterminated attribute list');
+                    const key = readId();
+                    let value = true;
+                    if (isSymbol(peek(), '=')) {
+                        next();
+                        value = readId();
+                    }
+                    attrs[key] = value;
+                    if (isSymbol(peek(), ',') || isSymbol(peek(), ';')) next();
+                }
+                next();
+            }
+            return attrs;
+        };
+        const touchNode = (id, scope, attrs) => {
+            let node = nodes.get(id);
+            if (!node) {
+                node = { id, ...scope.node };
+                if (scope.group !== null && node.group === undefined) node.group = scope.group;
+                nodes.set(id, node);
+            }
+            if (attrs) Object.assign(node, attrs, { id });
+            return node;
+        };
+
+        // Parses statements until the closing brace; returns the node ids declared in this block
+        const readBlock = (parentScope, group) => {
+            const scope = { node: { ...parentScope.node }, edge: { ...parentScope.edge }, group };
+            const members = new Set();
+            const readOperand = () => {
+                if (isSymbol(peek(), '{') || keyword(peek(), 'subgraph')) return readSubgraph(scope);
+                const id = readId();
+                if (isSymbol(peek(), ':')) { // port, ignored
+                    next(); readId();
+                    if (isSymbol(peek(), ':')) { next(); readId(); }
+                }
+                touchNode(id, scope);
+                members.add(id);
+                return [id];
+            };
+            while (!isSymbol(peek(), '}')) {
+                if (!peek()) throw fail('missing closing "}"');
+                const token = peek();
+                if (isSymbol(token, ';')) {
+                    next();
+                    continue;
+                }
+                if (['node', 'edge', 'graph'].some((k) => keyword(token, k)) && isSymbol(tokens[pos + 1], '[')) {
+                    next();
+                    const attrs = readAttrList();
+                    if (keyword(token, 'node')) Object.assign(scope.node, attrs);
+                    else if (keyword(token, 'edge')) Object.assign(scope.edge, attrs);
+                    else if (attrs.label !== undefined && group !== null) scope.group = attrs.label;
+                    continue;
+                }
+                if (!token.quoted && isSymbol(tokens[pos + 1], '=')) {
+                    // graph attribute statement (label=... names the enclosing subgraph's group)
+                    const key = readId();
+                    next();
+                    const value = readId();
+                    if (key === 'label' && group !== null) scope.group = value;
+                    continue;
+                }
+                let left = readOperand();
+                if (isSymbol(peek(), '->') || isSymbol(peek(), '--')) {
+                    const chain = [left];
+                    while (isSymbol(peek(), '->') || isSymbol(peek(), '--')) {
+                        const op = next();
+                        if (op.value === '->' && !directed) throw fail('"->" used in an undirected graph', op);
+                        if (op.value === '--' && directed) throw fail('"--" used in a digraph', op);
+                        chain.push(readOperand());
+                    }
+                    const attrs = GraphFormats.normalizeAttributes({ ...scope.edge, ...readAttrList() });
+                    for (let i = 0; i + 1 < chain.length; i++) {
+                        chain[i].forEach((source) => chain[i + 1].forEach((target) => {
+                            edges.push({ ...attrs, source, target, directed });
+                        }));
+                    }
+                } else if (left.length === 1 && !isSymbol(token, '{') && !keyword(token, 'subgraph')) {
+                    touchNode(left[0], scope, readAttrList());
+                }
+                left.forEach((id) => members.add(id));
+            }
+            next();
+            // Groups assigned via a later label= statement apply to members declared earlier
+            if (scope.group !== group) {
+                members.forEach((id) => {
+                    const node = nodes.get(id);
+                    if (node.group === undefined || node.group === group) node.group = scope.group;
+                });
+            }
+            return Array.from(members);
+        };
+        const readSubgraph = (scope) => {
+            let name = null;
+            if (keyword(peek(), 'subgraph')) {
+                next();
+                if (!isSymbol(peek(), '{')) name = readId();
+            }
+            expect('{');
+            const group = name !== null ? name.replace(/^cluster_?/, '') || name : scope.group;
+            return readBlock(scope, group);
+        };
+
+        readBlock({ node: {}, edge: {} }, null);
+        if (peek()) throw fail(`unexpected "${peek().value}" after the closing "}"`);
+
+        return {
+            nodes: Array.from(nodes.values()).map((n) => GraphFormats.normalizeAttributes(n)),
+            edges
+        };
+    }
+
+    static tokenizeDOT(text) {
+        const tokens = [];
+        let line = 1;
+        let i = 0;
+        const src = String(text);
+        while (i < src.length) {
+            const c = src[i];
+            if (c === '\n') { line++; i++; continue; }
+            if (/\s/.test(c)) { i++; continue; }
+            if (c === '/' && src[i + 1] === '/') { while (i < src.length && src[i] !== '\n') i++; continue; }
+            if (c === '#' && (i === 0 || src[i - 1] === '\n')) { while (i < src.length && src[i] !== '\n') i++; continue; }
+            if (c === '/' && src[i + 1] === '*') {
+                const end = src.indexOf('*/', i + 2);
+                if (end < 0) throw GraphFormats.error('dot', 'unterminated comment', line);
+                line += (src.slice(i, end).match(/\n/g) || []).length;
+                i = end + 2;
+                continue;
+            }
+            if (c === '"') {
+                const start = line;
+                let value = '';
+                i++;
+                while (i < src.length && src[i] !== '"') {
+                    if (src[i] === '\\' && src[i + 1] === '"') { value += '"'; i += 2; continue; }
+                    if (src[i] === '\\' && src[i + 1] === '\n') { line++; i += 2; continue; }
+                    if (src[i] === '\n') line++;
+                    value += src[i++];
+                }
+                if (i >= src.length) throw GraphFormats.error('dot', 'unterminated string', start);
+                i++;
+                tokens.push({ value, quoted: true, line: start });
+                continue;
+            }
+            if (c === '<') {
+                // HTML-like label: balanced angle brackets
+                const start = line;
+                let depth = 0;
+                let j = i;
+                do {
+                    if (src[j] === '<') depth++;
+                    else if (src[j] === '>') depth--;
+                    else if (src[j] === '\n') line++;
+                    j++;
+                } while (j < src.length && depth > 0);
+                if (depth > 0) throw GraphFormats.error('dot', 'unterminated HTML string', start);
+                tokens.push({ value: src.slice(i + 1, j - 1), quoted: true, line: start });
+                i = j;
+                continue;
+            }
+            if ((c === '-' && (src[i + 1] === '>' || src[i + 1] === '-'))) {
+                tokens.push({ value: src.slice(i, i + 2), line });
+                i += 2;
+                continue;
+            }
+            if ('{}[];,=:'.includes(c)) {
+                tokens.push({ value: c, line });
+                i++;
+                continue;
+            }
+            const word = /^(-?(\.\d+|\d+(\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)/.exec(src.slice(i, i + 256));
+            if (!word) throw GraphFormats.error('dot', `unexpected character "${c}"`, line);
+            tokens.push({ value: word[0], line });
+            i += word[0].length;
+        }
+        return tokens;
+    }
+
+    // Edge list with an optional header row. Recognized columns: source/from, target/to,
+    // weight, label, directed, source_group/target_group, source_label/target_label;
+    // any other column becomes an edge attribute. Without a header: source, target, weight.
+    static parseDelimited(text, format) {
+        const rows = GraphFormats.splitDelimited(String(text).replace(/^\ufeff/, ''), format === 'tsv' ? '\t' : ',', format)
+            .filter((row) => row.cells.some((cell) => cell.trim() !== '') && !/^\s*#/.test(row.cells[0]));
+        if (!rows.length) return { nodes: [], edges: [] };
+
+        const header = rows[0].cells.map((cell) => cell.trim().toLowerCase());
+        const hasHeader = header.some((h) => ['source', 'target', 'from', 'to'].includes(h));
+        const columns = hasHeader ? header : ['source', 'target', 'weight'];
+        const find = (...names) => columns.findIndex((h) => names.includes(h));
+        const sourceCol = find('source', 'from');
+        const targetCol = find('target', 'to');
+        if (sourceCol < 0 || targetCol < 0) {
+            throw GraphFormats.error(format, 'header needs "source" and "target" (or "from" and "to") columns', rows[0].line);
+        }
+        const nodeColumns = {
+            source: { group: find('source_group'), label: find('source_label') },
+            target: { group: find('target_group'), label: find('target_label') }
+        };
+        const skip = new Set([sourceCol, targetCol, ...Object.values(nodeColumns.source), ...Object.values(nodeColumns.target)]);
+
+        const nodes = new Map();
+        const edges = [];
+        const touch = (id, cells, cols) => {
+            if (!nodes.has(id)) nodes.set(id, { id });
+            const node = nodes.get(id);
+            if (cols.group >= 0 && cells[cols.group]) node.group = cells[cols.group].trim();
+            if (cols.label >= 0 && cells[cols.label]) node.label = cells[cols.label].trim();
+        };
+        rows.slice(hasHeader ? 1 : 0).forEach(({ cells, line }) => {
+            const source = (cells[sourceCol] || '').trim();
+            const target = (cells[targetCol] || '').trim();
+            if (!source || !target) throw GraphFormats.error(format, 'row is missing a source or target', line);
+            touch(source, cells, nodeColumns.source);
+            touch(target, cells, nodeColumns.target);
+            const attrs = {};
+            columns.forEach((name, col) => {
+                if (skip.has(col) || cells[col] === undefined || cells[col].trim() === '') return;
+                const value = cells[col].trim();
+                attrs[name] = name === 'directed' ? /^(true|1|yes)$/i.test(value) : value;
+            });
+            const edge = { ...GraphFormats.normalizeAttributes(attrs), source, target };
+            if (edge.weight !== undefined && typeof edge.weight !== 'number') {
+                throw GraphFormats.error(format, `weight "${edge.weight}" is not a number`, line);
+            }
+            edges.push(edge);
+        });
+        return { nodes: Array.from(nodes.values()), edges };
+    }
+
+    // RFC 4180-style rows: quoted fields may contain delimiters, quotes ("") and newlines
+    static splitDelimited(text, delimiter, format) {
+        const rows = [];
+        let cells = [];
+        let cell = '';
+        let line = 1;
+        let rowLine = 1;
+        let quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const c = text[i];
+            if (quoted) {
+                if (c === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+                else if (c === '"') quoted = false;
+                else {
+                    if (c === '\n') line++;
+                    cell += c;
+                }
+            } else if (c === '"' && cell.trim() === '') {
+                quoted = true;
+                cell = '';
+            } else if (c === delimiter) {
+                cells.push(cell);
+                cell = '';
+            } else if (c === '\n' || c === '\r') {
+                if (c === '\r' && text[i + 1] === '\n') i++;
+                cells.push(cell);
+                rows.push({ cells, line: rowLine });
+                cells = [];
+                cell = '';
+                rowLine = ++line;
+            } else {
+                cell += c;
+            }
+        }
+        if (quoted) throw GraphFormats.error(format, 'unterminated quoted field', rowLine);
+        if (cell !== '' || cells.length) {
+            cells.push(cell);
+            rows.push({ cells, line: rowLine });
+        }
+        return rows;
+    }
+}
+
+/**
+ * Seeded graph evolution models that drive DataMeshGraph through the same messages
+ * as a live stream (add/remove node and edge), so births and deaths animate like any
+ * other update. `step(graph)` reads the normalized graph data and returns the
+ * messages for one step; the same seed and starting graph replay the same story.
+ *   random         uniform edge rewiring (the original autoRewire noise)
+ *   preferential   Barabási–Albert growth towards `target` nodes, then birth/death churn
+ *   small-world    Watts–Strogatz rewiring of a ring lattice towards `target` probability
+ *   communities    communities form or dissolve towards `target` groups; edges drift inward
+ */
+class GraphEvolution {
+    static get MODELS() {
+        return ['random', 'preferential', 'small-world', 'communities'];
+    }
+
+    // mulberry32: small, fast and good enough for visual randomness
+    static random(seed) {
+        let a = seed >>> 0;
+        return () => {
+            a = (a + 0x6D2B79F5) >>> 0;
+            let t = a;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+
+    constructor(model, { target, seed = 1, degree = 4, mixing = 0.05, rewireAmount = 0.03 } = {}) {
+        if (!GraphEvolution.MODELS.includes(model)) {
+            throw new Error(`Unknown evolution model "${model}" (expected one of ${GraphEvolution.MODELS.join(', ')})`);
+        }
+        this.model = model;
+        this.target = target ?? { preferential: 120, 'small-world': 0.1, communities: 4 }[model];
+        this.degree = Math.max(2, Math.floor(degree));
+        this.attach = Math.max(1, Math.floor(this.degree / 2)); // edges per new node / lattice half-width
+        this.mixing = mixing;
+        this.rewireAmount = rewireAmount;
+        this.rng = GraphEvolution.random(seed);
+        this.born = 0; // counter for generated node ids and community names
+    }
+
+    pick(list) {
+        return list[Math.floor(this.rng() * list.length)];
+    }
+
+    // Starting graph for a model when the mesh has no graph data yet
+    seedGraph(nodeCount) {
+        const nodes = [];
+        const edges = [];
+        const n = this.model === 'preferential' ? this.attach + 1 : Math.max(this.degree + 2, nodeCount);
+        for (let i = 0; i < n; i++) nodes.push({ id: this.newId() });
+        if (this.model === 'preferential') {
+            // small complete graph to attach to
+            nodes.forEach((a, i) => nodes.slice(i + 1).forEach((b) => edges.push({ source: a.id, target: b.id })));
+        } else if (this.model === 'communities') {
+            const groups = Math.max(1, Math.round(this.target));
+            nodes.forEach((node, i) => { node.group = 'community-' + (i % groups); });
+            this.born = Math.max(this.born, groups);
+            nodes.forEach((node) => {
+                for (let k = 0; k < this.attach; k++) {
+                    const same = nodes.filter((o) => o !== node && (o.group === node.group) !== this.rng() < this.mixing);
+                    const other = same.length ? this.pick(same) : null;
+                    if (other) edges.push({ source: node.id, target: other.id });
+                }
+            });
+        } else {
+            // ring lattice: each node to its degree/2 clockwise neighbors
+            nodes.forEach((node, i) => {
+                for (let k = 1; k <= this.attach; k++) edges.push({ source: node.id, target: nodes[(i + k) % n].id });
+            });
+        }
+        return { nodes, edges };
+    }
+
+    newId() {
+        return 'evo-' + this.born++;
+    }
+
+    step(graph) {
+        const state = {
+            nodes: graph.nodes,
+            edges: graph.edges,
+            keys: new Set(graph.edges.map((e) => GraphEvolution.pairKey(e.source, e.target)))
+        };
+        switch (this.model) {
+            case 'preferential': return this.stepPreferential(state);
+            case 'small-world': return this.stepSmallWorld(state);
+            case 'communities': return this.stepCommunities(state);
+            default: return this.stepRandom(state);
+        }
+    }
+
+    static pairKey(a, b) {
+        return a < b ? a + '\u0000' + b : b + '\u0000' + a;
+    }
+
+    // Add-edge message unless the pair is a self-loop or already connected (either direction)
+    connect(state, source, target, out) {
+        const key = GraphEvolution.pairKey(source, target);
+        if (source === target || state.keys.has(key)) return false;
+        state.keys.add(key);
+        out.push({ type: 'add-edge', source, target });
+        return true;
+    }
+
+    // Connect `source` to a random node, retrying a few times past self-loops and duplicates
+    connectRandom(state, source, out) {
+        for (let attempt = 0; attempt < 10; attempt++) {
+            if (this.connect(state, source, this.pick(state.nodes).id, out)) return true;
+        }
+        return false;
+    }
+
+    disconnect(state, edge, out) {
+        state.keys.delete(GraphEvolution.pairKey(edge.source, edge.target));
+        out.push({ type: 'remove-edge', source: edge.source, target: edge.target });
+    }
+
+    stepRandom(state) {
+        const { nodes, edges } = state;
+        const out = [];
+        if (nodes.length < 2 || !edges.length) return out;
+        const count = Math.max(1, Math.floor(edges.length * this.rewireAmount));
+        const removed = new Set();
+        for (let r = 0; r < count; r++) {
+            const edge = this.pick(edges);
+            if (removed.has(edge)) continue;
+            removed.add(edge);
+            this.disconnect(state, edge, out);
+            this.connectRandom(state, this.pick(nodes).id, out);
+        }
+        return out;
+    }
+
+    // Barabási–Albert: new nodes attach to `attach` existing nodes with probability ∝ degree
+    stepPreferential(state) {
+        const { nodes, edges } = state;
+        const out = [];
+        const target = Math.max(2, Math.round(this.target));
+        const degree = new Map(nodes.map((n) => [n.id, 0]));
+        edges.forEach((e) => {
+            degree.set(e.source, (degree.get(e.source) || 0) + 1);
+            degree.set(e.target, (degree.get(e.target) || 0) + 1);
+        });
+        // roulette wheel over node weights
+        const spin = (candidates, weight) => {
+            let total = 0;
+            candidates.forEach((n) => { total += weight(n); });
+            let r = this.rng() * total;
+            return candidates.find((n) => (r -= weight(n)) < 0) || candidates[candidates.length - 1];
+        };
+
+        let candidates = nodes;
+        if (nodes.length >= target && nodes.length) {
+            // at (or above) the target size, poorly connected nodes die to make room, so hubs persist
+            const victim = spin(nodes, (n) => 1 / (degree.get(n.id) + 1));
+            out.push({ type: 'remove-node', id: victim.id });
+            if (nodes.length > target) return out;
+            candidates = nodes.filter((n) => n !== victim);
+        }
+        const id = this.newId();
+        out.push({ type: 'add-node', node: { id } });
+        const m = Math.min(this.attach, candidates.length);
+        for (let attempt = 0, made = 0; made < m && attempt < m * 10; attempt++) {
+            // degree + 1 so isolated nodes can still be chosen
+            if (this.connect(state, id, spin(candidates, (n) => degree.get(n.id) + 1).id, out)) made++;
+        }
+        return out;
+    }
+
+    // Watts–Strogatz: move the fraction of rewired (non-lattice) edges towards the target probability
+    stepSmallWorld(state) {
+        const { nodes, edges } = state;
+        const out = [];
+        const n = nodes.length;
+        if (n < 4) return out;
+        const half = Math.max(1, Math.min(this.attach, Math.floor((n - 1) / 2)));
+        const position = new Map(nodes.map((node, i) => [node.id, i]));
+        const isLattice = (e) => {
+            const d = Math.abs(position.get(e.source) - position.get(e.target));
+            return Math.min(d, n - d) <= half;
+        };
+        const lattice = edges.filter(isLattice);
+        const shortcuts = edges.filter((e) => !isLattice(e));
+        const fraction = edges.length ? shortcuts.length / edges.length : 0;
+        const beta = Math.min(1, Math.max(0, this.target));
+
+        if (fraction < beta && lattice.length) {
+            // rewire one end of a lattice edge to a uniformly random node
+            const edge = this.pick(lattice);
+            this.disconnect(state, edge, out);
+            this.connectRandom(state, edge.source, out);
+        } else if (fraction - beta > 1 / Math.max(1, edges.length) && shortcuts.length) {
+            // too many shortcuts: restore a missing lattice edge
+            const edge = this.pick(shortcuts);
+            this.disconnect(state, edge, out);
+            const i = position.get(edge.source);
+            for (let k = 1; k <= half; k++) {
+                if (this.connect(state, edge.source, nodes[(i + k) % n].id, out)) break;
+            }
+        } else if (shortcuts.length) {
+            // at the target: keep the story moving by relocating one shortcut
+            const edge = this.pick(shortcuts);
+            this.disconnect(state, edge, out);
+            this.connectRandom(state, edge.source, out);
+        }
+        return out;
+    }
+
+    // Communities form (a node and its neighborhood split off) or dissolve (members join
+    // the community they are most connected to); edges drift inside communities
+    stepCommunities(state) {
+        const { nodes, edges } = state;
+        const out = [];
+        if (nodes.length < 2) return out;
+        const groupOf = new Map(nodes.map((n) => [n.id, n.data && n.data.group != null ? n.data.group : null]));
+        const neighbors = new Map(nodes.map((n) => [n.id, []]));
+        edges.forEach((e) => {
+            neighbors.get(e.source).push(e.target);
+            neighbors.get(e.target).push(e.source);
+        });
+        const members = new Map();
+        groupOf.forEach((group, id) => {
+            if (group === null) return;
+            if (!members.has(group)) members.set(group, []);
+            members.get(group).push(id);
+        });
+        const regroup = (id, group) => {
+            const node = nodes.find((n) => n.id === id);
+            groupOf.set(id, group);
+            out.push({ type: 'add-node', node: { ...node.data, id, group } });
+        };
+        const target = Math.max(1, Math.round(this.target));
+
+        if (members.size < target) {
+            // formation: a random node pulls its nearest neighbors into a new community
+            const size = Math.max(3, Math.floor(nodes.length / target));
+            const group = 'community-' + this.born++;
+            const seed = this.pick(nodes).id;
+            const taken = new Set([seed]);
+            const queue = [seed];
+            while (queue.length && taken.size < size) {
+                neighbors.get(queue.shift()).forEach((id) => {
+                    if (taken.size < size && !taken.has(id)) {
+                        taken.add(id);
+                        queue.push(id);
+                    }
+                });
+            }
+            taken.forEach((id) => regroup(id, group));
+        } else if (members.size > target) {
+            // dissolution: the smallest community merges into its neighbors
+            const [group, ids] = Array.from(members).sort((a, b) => a[1].length - b[1].length)[0];
+            const others = Array.from(members.keys()).filter((g) => g !== group);
+            ids.forEach((id) => {
+                const votes = new Map();
+                neighbors.get(id).forEach((other) => {
+                    const g = groupOf.get(other);
+                    if (g !== null && g !== group) votes.set(g, (votes.get(g) || 0) + 1);
+                });
+                const best = Array.from(votes).sort((a, b) => b[1] - a[1])[0];
+                regroup(id, best ? best[0] : this.pick(others));
+            });
+        }
+
+        // Edge drift: cross-community edges move inside, a few intra edges leak out (mixing)
+        if (edges.length) {
+            const edge = this.pick(edges);
+            const inside = groupOf.get(edge.source) !== null && groupOf.get(edge.source) === groupOf.get(edge.target);
+            const wantInside = this.rng() >= this.mixing;
+            if (inside !== wantInside) {
+                const group = groupOf.get(edge.source);
+                const pool = nodes.filter((n) => n.id !== edge.source && (groupOf.get(n.id) === group) === wantInside);
+                if (pool.length) {
+                    this.disconnect(state, edge, out);
+                    for (let attempt = 0; attempt < 5; attempt++) {
+                        if (this.connect(state, edge.source, this.pick(pool).id, out)) break;
+                    }
+                }
+            }
+        }
+        // Unassigned nodes join the community of a random neighbor
+        const loose = nodes.filter((n) => groupOf.get(n.id) === null);
+        if (loose.length && members.size) {
+            const node = this.pick(loose);
+            const grouped = neighbors.get(node.id).filter((id) => groupOf.get(id) !== null);
+            regroup(node.id, grouped.length ? groupOf.get(this.pick(grouped)) : this.pick(Array.from(members.keys())));
+        }
+        return out;
+    }
+}
+
+class DataMeshGraph extends HTMLElement {
+    constructor() {
+        super();
+        this.attachShadow({ mode: 'open' });
+
+        // Visual configuration (designed for white backgrounds)
+        this.backgroundColor = '#ffffff';
+        this.nodeColor = '#000000';
+        this.linkColor = '#000000';
+        this.nodeSize = 1.8;
+        this.linkWidth = 1.0;
+        this.highlightColor = '#1f6feb'; // hovered/selected nodes and their edges
+        this.renderer = 'canvas'; // 'webgl' opts into the WebGL backend when available
+
+        // Node groups (`group` field of node data)
+        this.groupPalette = ['#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf'];
+        this.crossGroupLinkColor = '#9aa0a6';
+        this.crossGroupLinkAlpha = 0.6; // multiplier for edges between different groups
+        this.showLegend = false;
+        this.showStats = false; // stats attribute: live getGraphStats() overlay
+        this.statsIntervalMs = 500; // overlay refresh throttle
+
+        // Geometry
+        this.nodeCount = 120; // reasonable default
+        this.connectionsPerNode = 3; // k-nearest neighbors
+        this.depth = 800; // perspective depth to keep object at a distance
+
+        // Camera (wheel/pinch zoom, pan, double-click focus)
+        this.zoom = 1; // camera distance is depth / zoom
+        this.minZoom = 0.5;
+        this.maxZoom = 4;
+        this.minCameraDistance = 1.5; // in graph radii, keeps the camera outside the sphere
+        this.inertiaDamping = 0.96; // per-frame velocity decay shared by rotation, zoom and pan
+        this.focusZoom = 2; // zoom applied when double-clicking a node
+
+        // Animation
+        this.rotationSpeedX = 0.0025;
+        this.rotationSpeedY = 0.0015;
+        this.autoRewire = false; // random edge churn (the 'random' evolution model on graph data)
+        this.rewireIntervalMs = 2000;
+        this.rewireAmount = 0.03;
+
+        // Graph evolution (setEvolution / evolution attribute), see GraphEvolution
+        this.evolutionModel = null; // 'random', 'preferential', 'small-world' or 'communities'
+        this.evolutionRate = 2; // steps per second
+        this.evolutionTarget = null; // node count, rewiring probability or community count (null: model default)
+        this.evolutionSeed = 1;
+        this.evolutionDegree = 4; // mean degree for seeded graphs and new nodes
+        this.evolutionMixing = 0.05; // share of community edges that stay between communities
+        this.evolution = null; // GraphEvolution while a model runs
+        this.rewiring = null; // GraphEvolution backing autoRewire
+
+        // Neighbor graph constraints (avoid long chords through center)
+        this.maxNeighborAngle = 1.1; // radians (~63°)
+
+        // Edge geometry and depth cues
+        this.edgeMode = 'straight'; // 'straight' chords or 'arc' (great circles on the sphere layout)
+        this.arcSegments = 24; // max segments per arc (fewer for short arcs)
+        this.depthFog = 0; // 0..1, how much the farthest point fades
+        this.backHemisphere = 'show'; // 'show', 'fade' or 'cull' for the far side
+        this.backHemisphereAlpha = 0.2; // opacity multiplier on the far side in 'fade' mode
+        this.edgeUpdateIntervalMs = 800;
+        this.useSpatialIndex = true; // bucket grid instead of an all-pairs scan
+        this.useWorker = false; // compute neighbor edges off the main thread
+
+        // Graph data (setGraph / src attribute); null renders the synthetic sphere
+        this.graphData = null;
+        this.transitionDuration = 600; // ms for nodes/edges fading in or out
+
+        // Snapshot timeline playback (loadTimeline)
+        this.timeline = null; // { snapshots: [{time, graph}], blend, time, index, playing, speed, loop, lastTick, dates }
+        this.timelineDurationMs = 20000; // real time to play the whole timeline at speed 1
+        this.timelineSpeeds = [0.25, 0.5, 1, 2, 4];
+        this.timelineControls = true; // built-in play/pause, scrubber and speed bar
+        this.timelineEl = null;
+
+        // Weighted edges and flow particles (graph data edges with weight/throughput)
+        this.edgesDirected = true; // default when an edge has no `directed` field
+        this.flowParticles = true;
+        this.flowSpeed = 0.6; // edge lengths per second at the highest throughput
+        this.flowMaxParticles = 5; // per edge at the highest throughput
+        this.flowParticleSize = 1.6; // multiple of linkWidth
+        this.burstParticles = 6; // particles sent by pulseEdge
+        this.burstSpeed = 1.2; // edge lengths per second
+        this.edgeWeightMax = 0; // largest weight/throughput in the current edges
+        this.edgeThroughputMax = 0;
+
+        // Live updates (stream attribute): WebSocket or Server-Sent Events
+        this.streamUrl = null;
+        this.streamReconnectBaseMs = 1000;
+        this.streamReconnectMaxMs = 30000;
+
+        // State
+        this.canvas = null;
+        this.ctx = null;
+        this.glCanvas = null;
+        this.webgl = null; // WebGLMeshRenderer while the WebGL backend is active
+        this.webglFailed = false;
+        this.drawStyle = { color: '', alpha: 0, width: 0, size: 0 }; // scratch for styleEdge/styleNode
+        this.animationId = null;
+        this.nodes = [];
+        this.edges = [];
+        this.angleX = 0;
+        this.angleY = 0;
+        this.angularVelX = 0;
+        this.angularVelY = 0;
+        this.angleZ = 0; // roll from two-finger rotate
+        this.angularVelZ = 0;
+        this.zoomVel = 0; // log-zoom per frame
+        this.zoomAnchorX = 0; // screen point kept fixed while zooming
+        this.zoomAnchorY = 0;
+        this.panX = 0;
+        this.panY = 0;
+        this.panVelX = 0;
+        this.panVelY = 0;
+        this.cameraTarget = null; // eased focus: double-click, rotateTo/zoomTo/focusNode
+        this.cameraDuration = 800; // ms for rotateTo/zoomTo/focusNode unless given
+        this.cameraEasing = 'easeInOutCubic'; // name in DataMeshGraph.EASINGS or a function of t in [0, 1]
+        this.tourHoldMs = 2500; // default pause on each tour step
+        this.tour = null; // running playTour(): { steps, index, timer, resolve }
+        this.captionEl = null;
+        this.autoRotatePaused = false; // holds a focused region in view
+        this.sceneRadius = 0; // farthest node from the center, for camera limits and depth cues
+        this.arcEdges = false; // edgeMode 'arc' is in effect this frame
+        this.lastRewireTime = 0;
+        this.lastEdgeUpdateTime = 0;
+        this.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        // Pointer/mouse support and interaction state
+        this.hasMouseSupport = window.matchMedia('(pointer: fine)').matches;
+        this.isDragging = false;
+        this.dragMode = 'rotate'; // 'rotate' | 'pan'
+        this.activePointers = new Map(); // pointerId -> { x, y } for multi-touch
+        this.pinch = null; // last two-finger distance/angle/midpoint
+        this.gestureMoved = false; // a pinch never counts as a click
+        this.lastPointerX = 0;
+        this.lastPointerY = 0;
+        this.mouseX = 0;
+        this.mouseY = 0;
+        this.userNodeActive = false;
+        this.userNodeEdges = [];
+
+        // Hit-testing and selection
+        this.hitRadius = 8; // px around a projected node that counts as a hit
+        this.projected = [];
+        this.hoveredNode = null;
+        this.selectedNodes = new Set();
+        this.pointerDownX = 0;
+        this.pointerDownY = 0;
+
+        // Node labels (labels attribute): 'off', 'auto' (placed wherever they fit) or 'always' (only labelAlways)
+        this.labelMode = 'off';
+        this.labelAlways = ['selected', 'pinned', 'matches']; // any of 'selected', 'hovered', 'top-degree', 'pinned', 'matches'
+        this.labelTopDegree = 5; // how many best-connected nodes count as 'top-degree'
+        this.labelMaxCount = 60; // density cap on screen
+        this.labelFont = '11px system-ui, -apple-system, Segoe UI, Roboto, sans-serif';
+        this.labelColor = '#24292f';
+        this.labelFadeMs = 250;
+        this.pinnedLabels = new Set(); // node ids
+        this.labelWidths = new Map(); // text -> measured width
+
+        // Path/neighborhood highlighting for the selection
+        this.highlightPaths = true; // two selected nodes: shortest path between them
+        this.neighborhoodHops = 1; // one selected node: its k-hop neighborhood (0 turns it off)
+        this.pathFollowsDirection = false; // only walk directed edges source -> target
+        // Shortest-path edge cost: null counts hops; an edge data field ('cost', 'latency', ...)
+        // or a function (data, edge) => number. Not `weight`, which is traffic, not distance.
+        // Edges without a finite, non-negative cost count as 1.
+        this.pathCost = null;
+        this.dimAlpha = 0.15; // opacity multiplier for everything outside the highlight
+        this.analysis = null; // { kind, nodes: Set, edges: Set } for the current selection
+        this.analysisDirty = false;
+
+        // search()/filter(): non-matching nodes dim to dimAlpha (or hide), matches grow
+        this.nodeQuery = null; // { kind, test(node) -> score (0 = no match), mode }
+        this.queryMode = 'dim'; // 'dim' | 'hide'
+        this.queryMatchScale = 1.4; // size multiplier for matching nodes
+
+        // Keyboard navigation
+        this.keyboardRotateStep = 0.004; // angular velocity added per arrow key press
+        this.focusedNode = null; // node reached with the keyboard
+        this.cycleOrigin = null; // node whose neighbors [ and ] cycle through
+        this.hasKeyboardFocus = false;
+        this.liveRegion = null;
+
+        // Per-node drift on the sphere to morph shape over time
+        this.driftSpeedBase = 0.14; // radians/sec base (more pronounced morphing)
+
+        // Layout: 'sphere', 'torus', 'cylinder', 'plane', 'cube', 'shells' or 'force'
+        this.layout = 'sphere';
+        this.layoutMorphStart = 0; // time of the last layout switch (positions blend for transitionDuration)
+
+        // Nested shells: hierarchy levels (node data `parent`) on concentric spheres
+        this.hierarchyField = 'parent'; // node data field naming the parent node id
+        this.shellInnerRadius = 0.35; // innermost shell as a fraction of graphRadius (roots)
+        this.shellSpinSpeed = 0.002; // radians/frame; alternate levels spin in opposite directions
+        this.shellSpinSpeeds = null; // optional per-level speeds overriding shellSpinSpeed
+        this.shellExpandDepth = 1; // levels shown expanded until a node is toggled
+        this.shellGuides = true; // faint outline of each shell
+        this.shellGuideColor = 'rgba(0, 0, 0, 0.07)';
+        this.shellAngles = []; // current spin per level
+        this.shellCount = 1;
+        this.expandedNodes = new Map(); // node id -> expanded, set by clicks and expandNode()
+
+        // Force-directed layout (distances are fractions of graphRadius)
+        this.forceAlpha = 0; // cools towards 0; the layout stops updating below forceAlphaMin
+        this.forceAlphaMin = 0.002;
+        this.forceAlphaDecay = 0.0228;
+        this.forceRepulsion = 1;
+        this.forceLinkDistance = 0.25;
+        this.forceLinkStrength = 0.3;
+        this.forceVelocityDecay = 0.6;
+        this.forceSampleSize = 120; // repulsion partners per node; larger graphs use a random sample
+        this.forceGroupStrength = 0.04; // pull towards the centroid of the node's group
+        this.lastUpdateTime = Date.now();
+        this.lastHullLength = 0;
+
+        // id -> index into this.nodes (graph data mode)
+        this.nodeIndex = new Map();
+
+        // Stream connection state; messages are queued and applied once per frame
+        this.streamSource = null;
+        this.streamTimer = null;
+        this.streamRetries = 0;
+        this.streamQueue = [];
+
+        // Group state: stable colors, shared drift so clusters move together, hidden groups
+        this.groupColorMap = new Map();
+        this.groupDrift = new Map();
+        this.hiddenGroups = new Set();
+        this.legendEl = null;
+
+        // Graph statistics: cached until the edges change, overlay element when shown
+        this.graphStats = null;
+        this.statsShown = null;
+        this.statsEl = null;
+        this.lastStatsUpdate = 0;
+
+        // Neighbor search: unit vectors of the nodes, bucket grid and optional worker
+        this.unitX = new Float32Array(0);
+        this.unitY = new Float32Array(0);
+        this.unitZ = new Float32Array(0);
+        this.sphereGrid = new SphereGrid();
+        this.sphereGridStamp = null; // { time, count, version } of the last grid build
+        this.worker = null;
+        this.workerJob = 0; // id of the request in flight, 0 when idle
+        this.workerFailed = false;
+        this.nodesVersion = 0; // bumped whenever node indices are invalidated
+        this.lastEdgeComputeMs = 0;
+
+        this.init();
+    }
+
+    static get observedAttributes() {
+        return ['src', 'stream', 'renderer', 'layout', 'legend', 'edge-mode', 'evolution', 'labels', 'stats'];
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (name === 'src' && newValue && newValue !== oldValue) {
+            this.load(newValue);
+        } else if (name === 'stream') {
+            if (newValue !== oldValue) this.connectStream(newValue);
+        } else if (name === 'legend') {
+            this.showLegend = newValue !== null;
+            this.updateLegend();
+        } else if (name === 'layout') {
+            this.setLayout(newValue || 'sphere');
+        } else if (name === 'evolution') {
+            try {
+                this.setEvolution(newValue);
+            } catch (err) {
+                this.reportError(err, null);
+            }
+        } else if (name === 'stats') {
+            this.showStats = newValue !== null;
+            this.updateStatsPanel();
+        } else if (name === 'labels') {
+            // <data-mesh-graph labels> means auto placement
+            this.labelMode = newValue === null ? 'off' : (newValue || 'auto');
+        } else if (name === 'edge-mode') {
+            this.edgeMode = newValue || 'straight';
+        } else if (name === 'renderer') {
+            this.renderer = newValue || 'canvas';
+            this.setupRenderer();
+        }
+    }
+
+    // Initialize component
+    init() {
+        this.setupStyles();
+        this.setupCanvas();
+        this.bindEvents();
+        this.generateGraph();
+        this.startAnimation();
+    }
+
+    // Shadow DOM styles
+    setupStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+      :host {
+        display: block;
+        position: relative;
+        width: 100%;
+        height: 100%;
+        overflow: hidden;
+        touch-action: none;
+      }
+      canvas {
+        position: absolute;
+        top: 0;
+        left: 0;
+        display: block;
+        width: 100%;
+        height: 100%;
+      }
+      .sr-only {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
+      }
+      .stats {
+        position: absolute;
+        top: 8px;
+        right: 8px;
+        min-width: 170px;
+        padding: 8px 10px;
+        border: 1px solid rgba(0, 0, 0, 0.12);
+        border-radius: 6px;
+        background: rgba(255, 255, 255, 0.85);
+        color: #222;
+        font: 11px/1.4 system-ui, -apple-system, sans-serif;
+        pointer-events: none;
+      }
+      .stats dl {
+        display: grid;
+        grid-template-columns: auto auto;
+        gap: 0 10px;
+        margin: 0;
+      }
+      .stats dt {
+        color: #57606a;
+      }
+      .stats dd {
+        margin: 0;
+        text-align: right;
+        font-variant-numeric: tabular-nums;
+      }
+      .stats .histogram {
+        display: flex;
+        align-items: flex-end;
+        gap: 1px;
+        height: 28px;
+        margin: 6px 0;
+      }
+      .stats .histogram span {
+        flex: 1;
+        min-height: 1px;
+        background: #1f6feb;
+        opacity: 0.7;
+      }
+      .stats ol {
+        margin: 4px 0 0;
+        padding-left: 18px;
+      }
+      .caption {
+        position: absolute;
+        top: 8px;
+        left: 50%;
+        max-width: 60%;
+        padding: 6px 12px;
+        border-radius: 6px;
+        background: rgba(0, 0, 0, 0.72);
+        color: #fff;
+        font: 13px/1.4 system-ui, -apple-system, sans-serif;
+        text-align: center;
+        transform: translateX(-50%);
+        transition: opacity 0.3s;
+        pointer-events: none;
+      }
+      .caption[hidden] {
+        display: none;
+      }
+      .timeline {
+        position: absolute;
+        left: 8px;
+        right: 8px;
+        bottom: 8px;
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        padding: 4px 8px;
+        border: 1px solid rgba(0, 0, 0, 0.12);
+        border-radius: 6px;
+        background: rgba(255, 255, 255, 0.85);
+        color: #222;
+        font: 11px/1.2 system-ui, -apple-system, sans-serif;
+      }
+      .timeline button,
+      .timeline select {
+        font: inherit;
+      }
+      .timeline input[type="range"] {
+        flex: 1;
+        min-width: 60px;
+      }
+      .timeline output {
+        min-width: 9em;
+        text-align: right;
+        font-variant-numeric: tabular-nums;
+      }
+      .legend {
+        position: absolute;
+        left: 8px;
+        bottom: 8px;
+        display: flex;
+        flex-wrap: wrap;
+        gap: 4px;
+        max-width: calc(100% - 16px);
+        font: 11px/1.2 system-ui, -apple-system, sans-serif;
+      }
+      .legend button {
+        display: inline-flex;
+        align-items: center;
+        gap: 5px;
+        padding: 3px 8px;
+        border: 1px solid rgba(0, 0, 0, 0.12);
+        border-radius: 999px;
+        background: rgba(255, 255, 255, 0.85);
+        color: #222;
+        font: inherit;
+        cursor: pointer;
+      }
+      .legend button[aria-pressed="false"] {
+        opacity: 0.45;
+      }
+      .legend.raised {
+        bottom: 48px;
+      }
+      .legend .swatch {
+        width: 8px;
+        height: 8px;
+        border-radius: 50%;
+      }
+    `;
+        this.shadowRoot.appendChild(style);
+    }
+
+    // Create canvas
+    setupCanvas() {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.shadowRoot.appendChild(this.canvas);
+
+        // Screen-reader announcements for keyboard navigation
+        this.liveRegion = document.createElement('div');
+        this.liveRegion.className = 'sr-only';
+        this.liveRegion.setAttribute('aria-live', 'polite');
+        this.shadowRoot.appendChild(this.liveRegion);
+
+        this.resizeCanvas();
+    }
+
+    // Host attributes can only be set once connected (not in the constructor)
+    connectedCallback() {
+        if (!this.hasAttribute('tabindex')) this.setAttribute('tabindex', '0');
+        if (!this.hasAttribute('role')) this.setAttribute('role', 'application');
+        if (!this.hasAttribute('aria-roledescription')) this.setAttribute('aria-roledescription', 'network graph');
+        if (!this.hasAttribute('aria-label')) this.setAttribute('aria-label', 'Data mesh');
+        this.updateDescription();
+    }
+
+    // Called whenever nodes, edges or groups change
+    handleGraphChange() {
+        this.updateHierarchy();
+        this.analysisDirty = true;
+        this.graphStats = null;
+        this.updateLegend();
+        this.updateDescription();
+    }
+
+    // Text summary of the graph, also exposed as the host's accessible description
+    getSummary() {
+        const nodes = this.nodes.filter((n) => n.targetPresence > 0).length;
+        const edges = this.edges.filter((e) => e.targetPresence > 0).length;
+        let summary = `${nodes} nodes and ${edges} edges`;
+        const groups = this.getGroups();
+        if (groups.length) {
+            summary += ` in ${groups.length} groups: ` + groups.map((g) => `${g.name} (${g.count})`).join(', ');
+        }
+        return summary + '.';
+    }
+
+    updateDescription() {
+        if (!this.isConnected) return;
+        this.setAttribute('aria-description', this.getSummary());
+    }
+
+    resizeCanvas() {
+        const rect = this.getBoundingClientRect();
+        const dpr = window.devicePixelRatio || 1;
+
+        this.canvas.width = rect.width * dpr;
+        this.canvas.height = rect.height * dpr;
+        this.canvas.style.width = rect.width + 'px';
+        this.canvas.style.height = rect.height + 'px';
+
+        this.ctx.setTransform(1, 0, 0, 1, 0, 0);
+        this.ctx.scale(dpr, dpr);
+
+        if (this.webgl) {
+            this.glCanvas.width = rect.width * dpr;
+            this.glCanvas.height = rect.height * dpr;
+            this.webgl.resize(rect.width, rect.height, dpr);
+        }
+
+        // Regenerate to fit new bounds
+        this.generateGraph();
+    }
+
+    // Switch between the Canvas2D and WebGL backends to match `renderer`
+    setupRenderer() {
+        const wantWebGL = this.renderer === 'webgl';
+        if (wantWebGL && !this.webgl && !this.webglFailed) {
+            const glCanvas = document.createElement('canvas');
+            this.webgl = WebGLMeshRenderer.create(glCanvas);
+            if (!this.webgl) {
+                // No (hardware) WebGL: keep drawing everything with Canvas2D
+                this.webglFailed = true;
+                return;
+            }
+            this.glCanvas = glCanvas;
+            this.handleContextLost = (e) => {
+                e.preventDefault();
+                this.webglFailed = true;
+                this.disposeWebGL();
+            };
+            glCanvas.addEventListener('webglcontextlost', this.handleContextLost);
+            this.shadowRoot.insertBefore(glCanvas, this.canvas);
+
+            const rect = this.getBoundingClientRect();
+            const dpr = window.devicePixelRatio || 1;
+            glCanvas.width = rect.width * dpr;
+            glCanvas.height = rect.height * dpr;
+            this.webgl.resize(rect.width, rect.height, dpr);
+        } else if (!wantWebGL && this.webgl) {
+            this.disposeWebGL();
+        }
+    }
+
+    disposeWebGL() {
+        if (!this.glCanvas) return;
+        this.glCanvas.removeEventListener('webglcontextlost', this.handleContextLost);
+        if (this.webgl) this.webgl.dispose();
+        this.glCanvas.remove();
+        this.glCanvas = null;
+        this.webgl = null;
+    }
+
+    // 'webgl' or 'canvas', whichever is actually drawing
+    getActiveRenderer() {
+        return this.webgl ? 'webgl' : 'canvas';
+    }
+
+    // Bind listeners
+    bindEvents() {
+        this.handleResize = this.resizeCanvas.bind(this);
+        window.addEventListener('resize', this.handleResize);
+
+        // Reduced motion preference
+        this.reducedMotionMediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.handleReducedMotionChange = (e) => {
+            this.prefersReducedMotion = e.matches;
+        };
+        this.reducedMotionMediaQuery.addEventListener('change', this.handleReducedMotionChange);
+
+        // Pause when not visible
+        this.observer = new IntersectionObserver(
+            (entries) => {
+                entries.forEach((entry) => {
+                    if (entry.isIntersecting) {
+                        this.startAnimation();
+                    } else {
+                        this.stopAnimation();
+                    }
+                });
+            },
+            { threshold: 0.1 }
+        );
+        this.observer.observe(this);
+
+        // Pointer interactions (spin/pan + hover node, two-finger pinch)
+        this.onPointerDown = (e) => {
+            this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (this.setPointerCapture && e.pointerId != null) {
+                try { this.setPointerCapture(e.pointerId); } catch (_) { }
+            }
+            if (this.activePointers.size >= 2) {
+                this.isDragging = false;
+                this.gestureMoved = true;
+                this.pinch = this.measurePinch();
+                this.interruptCamera();
+                return;
+            }
+            this.isDragging = true;
+            this.gestureMoved = false;
+            this.interruptCamera(); // direct manipulation cancels a focus animation or tour
+            // Shift, middle or right button drags pan instead of spinning
+            this.dragMode = e.shiftKey || e.button === 1 || e.button === 2 ? 'pan' : 'rotate';
+            this.lastPointerX = e.clientX;
+            this.lastPointerY = e.clientY;
+            this.pointerDownX = e.clientX;
+            this.pointerDownY = e.clientY;
+        };
+        this.onPointerMove = (e) => {
+            const rect = this.getBoundingClientRect();
+            this.mouseX = e.clientX - rect.left;
+            this.mouseY = e.clientY - rect.top;
+
+            if (this.activePointers.has(e.pointerId)) {
+                this.activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            }
+            if (this.pinch && this.activePointers.size >= 2) {
+                this.applyPinch(this.measurePinch(), rect);
+                return;
+            }
+
+            if (this.isDragging) {
+                const dx = e.clientX - this.lastPointerX;
+                const dy = e.clientY - this.lastPointerY;
+                this.lastPointerX = e.clientX;
+                this.lastPointerY = e.clientY;
+                if (this.dragMode === 'pan') {
+                    // Velocity gain such that the glide covers the dragged distance
+                    this.panVelX += dx * (1 - this.inertiaDamping);
+                    this.panVelY += dy * (1 - this.inertiaDamping);
+                } else {
+                    // Update angular velocity (front-surface feel)
+                    this.angularVelY += -dx * 0.0009; // invert for intuitive yaw
+                    this.angularVelX += -dy * 0.0009; // invert for intuitive pitch
+                }
+            }
+
+            if (this.hasMouseSupport) {
+                this.userNodeActive = (this.mouseX >= 0 && this.mouseX <= rect.width && this.mouseY >= 0 && this.mouseY <= rect.height);
+            } else {
+                this.userNodeActive = false;
+            }
+
+            if (!this.isDragging) this.setHoveredNode(this.hitTest(this.mouseX, this.mouseY));
+        };
+        this.onPointerUp = (e) => {
+            this.activePointers.delete(e.pointerId);
+            if (this.releasePointerCapture && e.pointerId != null) {
+                try { this.releasePointerCapture(e.pointerId); } catch (_) { }
+            }
+            if (this.pinch) {
+                // Lifting one finger of a pinch continues as a one-finger spin
+                this.pinch = null;
+                const rest = this.activePointers.values().next().value;
+                if (rest) {
+                    this.isDragging = true;
+                    this.dragMode = 'rotate';
+                    this.lastPointerX = rest.x;
+                    this.lastPointerY = rest.y;
+                }
+                return;
+            }
             this.isDragging = false;
+
+            // A press without meaningful movement is a click rather than a drag
+            const moved = Math.hypot(e.clientX - this.pointerDownX, e.clientY - this.pointerDownY);
+            if (moved < 5 && !this.gestureMoved) {
+                const rect = this.getBoundingClientRect();
+                this.handleNodeClick(this.hitTest(e.clientX - rect.left, e.clientY - rect.top), e.shiftKey);
+            }
+        };
+        this.onPointerCancel = (e) => {
+            this.activePointers.delete(e.pointerId);
+            if (this.activePointers.size < 2) this.pinch = null;
+            if (!this.activePointers.size) this.isDragging = false;
+        };
+        this.onPointerLeave = (e) => {
+            // Captured pointers keep dragging outside the element
+            if (!this.activePointers.has(e.pointerId)) this.isDragging = false;
             this.userNodeActive = false;
+            this.setHoveredNode(null);
+        };
+        this.onWheel = (e) => {
+            e.preventDefault();
+            const rect = this.getBoundingClientRect();
+            const lines = e.deltaMode === 1 ? 16 : (e.deltaMode === 2 ? rect.height : 1);
+            this.zoomAnchorX = e.clientX - rect.left;
+            this.zoomAnchorY = e.clientY - rect.top;
+            this.interruptCamera();
+            // ~0.2% zoom per wheel pixel over the whole glide
+            this.zoomVel += -e.deltaY * lines * 0.002 * (1 - this.inertiaDamping);
+        };
+        this.onDoubleClick = (e) => {
+            e.preventDefault();
+            const rect = this.getBoundingClientRect();
+            this.focusAt(e.clientX - rect.left, e.clientY - rect.top);
+        };
+        this.onContextMenu = (e) => e.preventDefault();
+
+        this.addEventListener('pointerdown', this.onPointerDown);
+        this.addEventListener('pointermove', this.onPointerMove);
+        this.addEventListener('pointerup', this.onPointerUp);
+        this.addEventListener('pointercancel', this.onPointerCancel);
+        this.addEventListener('pointerleave', this.onPointerLeave);
+        this.addEventListener('wheel', this.onWheel, { passive: false });
+        this.addEventListener('dblclick', this.onDoubleClick);
+        this.addEventListener('contextmenu', this.onContextMenu);
+
+        // Keyboard: arrows rotate, or move between connected nodes once one is focused
+        this.onKeyDown = (e) => this.handleKeyDown(e);
+        this.onFocus = () => {
+            this.hasKeyboardFocus = true;
+            if (!this.focusedNode) {
+                this.announce(`${this.getSummary()} Arrow keys rotate. Press Enter to explore nodes, Escape to stop.`);
+            }
+        };
+        this.onBlur = () => {
+            this.hasKeyboardFocus = false;
+        };
+        this.addEventListener('keydown', this.onKeyDown);
+        this.addEventListener('focus', this.onFocus);
+        this.addEventListener('blur', this.onBlur);
+    }
+
+    // Generate nodes on a sphere and initialize per-node drift
+    generateGraph() {
+        this.nodes = [];
+        this.edges = [];
+        this.nodeIndex = new Map();
+        this.nodesVersion++;
+
+        const rect = this.getBoundingClientRect();
+        const radius = Math.min(rect.width, rect.height) * 0.4; // ensure entire object is visible
+        this.graphRadius = radius;
+        this.centerX = rect.width / 2;
+        this.centerY = rect.height / 2;
+
+        if (this.graphData) {
+            this.layoutGraph(false);
+        } else {
+            // Fibonacci sphere for even distribution, store spherical angles and drift
+            const N = Math.max(8, Math.floor(this.nodeCount));
+            for (let i = 0; i < N; i++) {
+                const { phi, theta } = this.fibonacciPoint(i, N);
+                this.nodes.push(this.createNode(i, null, phi, theta, 1));
+            }
+            this.rebuildNodeIndex();
+            this.pruneSelection();
+        }
+        this.reheatForceLayout(1);
+        this.handleGraphChange();
+    }
+
+    // Spherical angles of point i out of N on a Fibonacci sphere
+    fibonacciPoint(i, N) {
+        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+        const t = (i + 0.5) / N;
+        const cosPhi = 1 - 2 * t; // from 1 to -1
+        return {
+            phi: Math.acos(cosPhi), // [0, PI]
+            theta: i * goldenAngle // [0, inf)
+        };
+    }
+
+    // Create a node at the given spherical angles with a small random drift
+    createNode(id, data, phi, theta, presence) {
+        const node = {
+            id, data,
+            x: 0, y: 0, z: 0,
+            phi, theta,
+            driftTheta: (Math.random() - 0.5) * 0.006,
+            driftPhi: (Math.random() - 0.5) * 0.004,
+            radius: this.graphRadius,
+            vx: 0, vy: 0, vz: 0, // force layout velocity
+            presence, // 0..1, animated towards targetPresence
+            targetPresence: 1,
+            visibility: 1, // 0..1, animated towards targetVisibility (hidden groups, filtered out)
+            targetVisibility: 1,
+            match: 1, // 0..1, animated towards targetMatch (0 = dimmed by search/filter)
+            targetMatch: 1,
+            emphasis: 0, // 0..1, animated towards targetEmphasis (1 = search/filter match)
+            targetEmphasis: 0,
+            queryScore: 0,
+            group: null
+        };
+        this.assignGroup(node);
+        this.positionNode(node);
+        return node;
+    }
+
+    // Read the node's group from its data; grouped nodes share their group's drift
+    assignGroup(n) {
+        const group = n.data && n.data.group != null ? String(n.data.group) : null;
+        n.group = group;
+        if (group === null) {
+            this.updateNodeVisibility(n);
+            return;
+        }
+        let drift = this.groupDrift.get(group);
+        if (!drift) {
+            drift = { driftTheta: (Math.random() - 0.5) * 0.006, driftPhi: (Math.random() - 0.5) * 0.004 };
+            this.groupDrift.set(group, drift);
+        }
+        n.driftTheta = drift.driftTheta;
+        n.driftPhi = drift.driftPhi;
+        this.updateNodeVisibility(n);
+    }
+
+    // Hidden when its group is hidden, a hiding filter rejects it or (shells) an ancestor is collapsed;
+    // otherwise dimmed or emphasized
+    updateNodeVisibility(n) {
+        const query = this.nodeQuery;
+        n.queryScore = query ? query.test(n) : 0;
+        const rejected = query && !(n.queryScore > 0);
+        const hidden = (n.group !== null && this.hiddenGroups.has(n.group)) || (rejected && query.mode === 'hide')
+            || (this.layout === 'shells' && this.isCollapsedAway(n));
+        n.targetVisibility = hidden ? 0 : 1;
+        n.targetMatch = rejected ? 0 : 1;
+        n.targetEmphasis = query && !rejected ? 1 : 0;
+    }
+
+    groupColor(group) {
+        let color = this.groupColorMap.get(group);
+        if (!color) {
+            color = this.groupPalette[this.groupColorMap.size % this.groupPalette.length];
+            this.groupColorMap.set(group, color);
+        }
+        return color;
+    }
+
+    // Groups of the current (non-exiting) nodes with their colors and sizes
+    getGroups() {
+        const counts = new Map();
+        this.nodes.forEach((n) => {
+            if (n.group === null || n.targetPresence === 0) return;
+            counts.set(n.group, (counts.get(n.group) || 0) + 1);
+        });
+        return Array.from(counts, ([name, count]) => ({
+            name,
+            count,
+            color: this.groupColor(name),
+            hidden: this.hiddenGroups.has(name)
+        }));
+    }
+
+    setGroupVisibility(group, visible) {
+        group = String(group);
+        if (visible) this.hiddenGroups.delete(group);
+        else this.hiddenGroups.add(group);
+        this.nodes.forEach((n) => {
+            if (n.group === group) this.updateNodeVisibility(n);
+        });
+        this.handleGraphChange();
+    }
+
+    // Link nodes to their parents (node data hierarchyField), derive levels and, in the shells
+    // layout, each node's shell radius; seats newly parented nodes next to their parent
+    updateHierarchy() {
+        const field = this.hierarchyField;
+        const previous = new Map(this.nodes.map((n) => [n, n.parent || null]));
+        this.nodes.forEach((n) => {
+            const id = n.data && typeof n.data === 'object' ? n.data[field] : null;
+            const parent = id != null && id !== n.id ? this.nodes[this.nodeIndex.get(id)] : null;
+            n.parent = parent || null;
+            n.children = [];
+        });
+        // Levels walk up the parent chain; a cycle is cut where it closes
+        let maxLevel = 0;
+        this.nodes.forEach((n) => {
+            const chain = new Set([n]);
+            let level = 0;
+            for (let p = n.parent; p; p = p.parent) {
+                if (chain.has(p)) {
+                    n.parent = null;
+                    level = 0;
+                    break;
+                }
+                chain.add(p);
+                level++;
+            }
+            n.level = level;
+            if (n.parent) n.parent.children.push(n);
+            if (level > maxLevel) maxLevel = level;
+        });
+        this.shellCount = maxLevel + 1;
+
+        const shells = this.layout === 'shells';
+        this.nodes.forEach((n) => { n.radius = this.graphRadius * (shells ? this.shellScale(n.level) : 1); });
+        if (shells) {
+            this.nodes
+                .filter((n) => n.parent && n.parent !== previous.get(n))
+                .sort((a, b) => a.level - b.level)
+                .forEach((n) => this.seatChild(n));
+            this.nodes.forEach((n) => this.positionNode(n));
+        }
+        this.nodes.forEach((n) => this.updateNodeVisibility(n));
+    }
+
+    // Shell radius for a level as a fraction of graphRadius (roots innermost, leaves on the outside)
+    shellScale(level) {
+        if (this.shellCount < 2) return 1;
+        return this.shellInnerRadius + (1 - this.shellInnerRadius) * (level / (this.shellCount - 1));
+    }
+
+    // Place a child on its shell just outside its parent (golden-angle spiral around the parent's direction)
+    seatChild(n) {
+        const parent = n.parent;
+        const siblings = parent.children;
+        const k = Math.max(0, siblings.indexOf(n));
+        const spread = Math.min(0.7, 0.18 + 0.06 * Math.sqrt(siblings.length));
+        const d = siblings.length > 1 ? spread * Math.sqrt((k + 0.5) / siblings.length) : 0;
+        const a = k * 2.399963;
+        const sinPhi = Math.max(0.2, Math.sin(parent.phi));
+        // Compensate for the shells spinning at different angles
+        const spin = (this.shellAngles[parent.level] || 0) - (this.shellAngles[n.level] || 0);
+        n.phi = Math.min(Math.PI - 0.05, Math.max(0.05, parent.phi + d * Math.cos(a)));
+        n.theta = parent.theta + spin + (d * Math.sin(a)) / sinPhi;
+    }
+
+    // True when any ancestor is collapsed (only applies in the shells layout)
+    isCollapsedAway(n) {
+        for (let p = n.parent; p; p = p.parent) {
+            if (!this.isExpanded(p)) return true;
+        }
+        return false;
+    }
+
+    isExpanded(n) {
+        const explicit = this.expandedNodes.get(n.id);
+        return explicit !== undefined ? explicit : n.level < this.shellExpandDepth;
+    }
+
+    /**
+     * Expand (or collapse with `expanded = false`) a node's children onto the next shell;
+     * omitted, the state toggles. Dispatches `node-toggle`; returns the new state, or null
+     * for unknown nodes and nodes without children.
+     */
+    expandNode(id, expanded) {
+        const n = this.nodes[this.nodeIndex.get(id)];
+        if (!n || !n.children || !n.children.length) return null;
+        const next = expanded === undefined ? !this.isExpanded(n) : !!expanded;
+        this.expandedNodes.set(n.id, next);
+        if (next && this.layout === 'shells') {
+            // Sprout from where the parent is now
+            n.children.forEach((child) => {
+                if (child.visibility === 0) {
+                    this.seatChild(child);
+                    this.positionNode(child);
+                }
+            });
+        }
+        this.handleGraphChange();
+        const count = n.children.length;
+        this.announce(`${next ? 'Expanded' : 'Collapsed'} ${this.nodeLabel(n)}: ${count} ${count === 1 ? 'child' : 'children'}.`);
+        this.dispatchEvent(new CustomEvent('node-toggle', {
+            detail: { node: this.nodeInfo(n), expanded: next, children: n.children.map((c) => c.id) },
+            bubbles: true
+        }));
+        return next;
+    }
+
+    collapseNode(id) {
+        return this.expandNode(id, false);
+    }
+
+    /**
+     * Find nodes whose id, label or data values contain `query` (case-insensitive; a RegExp
+     * is tested instead). Matches are emphasized and everything else dims, or hides with
+     * `{mode: 'hide'}`. `{rotate: true}` turns the best match to the front. An empty query
+     * clears the search. Returns matches as `{id, data, score}`, best first.
+     */
+    search(query, options = {}) {
+        if (query === null || query === undefined || query === '') return this.clearFilter();
+        const test = query instanceof RegExp
+            ? (text) => { query.lastIndex = 0; return query.test(text); }
+            : null;
+        const needle = String(query).toLowerCase();
+        // Exact id/label > prefix > substring > match in another data value
+        const score = (n) => {
+            const names = [String(n.id), this.nodeLabel(n)];
+            let best = 0;
+            names.forEach((name) => {
+                if (test) {
+                    if (test(name)) best = Math.max(best, 2);
+                    return;
+                }
+                const text = name.toLowerCase();
+                if (text === needle) best = Math.max(best, 4);
+                else if (text.startsWith(needle)) best = Math.max(best, 3);
+                else if (text.includes(needle)) best = Math.max(best, 2);
+            });
+            if (best || !n.data || typeof n.data !== 'object') return best;
+            const values = Object.values(n.data).filter((v) => typeof v === 'string' || typeof v === 'number');
+            return values.some((v) => (test ? test(String(v)) : String(v).toLowerCase().includes(needle))) ? 1 : 0;
+        };
+        return this.applyQuery({ kind: 'search', test: score, mode: options.mode || this.queryMode }, options);
+    }
+
+    /**
+     * Keep only nodes matching `predicate(data, id)` or an attribute map such as
+     * `{group: 'payments', tier: [1, 2], region: /^eu-/, load: (v) => v > 0.8}`
+     * (arrays list allowed values, RegExps and functions test the value, anything else
+     * must be equal). Same options and return value as search(); null clears the filter.
+     */
+    filter(criteria, options = {}) {
+        if (!criteria) return this.clearFilter();
+        let test;
+        if (typeof criteria === 'function') {
+            test = (n) => (criteria(n.data, n.id) ? 1 : 0);
+        } else {
+            const checks = Object.entries(criteria).map(([key, want]) => (data) => {
+                const value = key === 'id' ? data.id : data[key];
+                if (Array.isArray(want)) return want.includes(value);
+                if (want instanceof RegExp) return value != null && want.test(String(value));
+                if (typeof want === 'function') return !!want(value);
+                return value === want;
+            });
+            test = (n) => (checks.every((check) => check(n.data || { id: n.id })) ? 1 : 0);
+        }
+        return this.applyQuery({ kind: 'filter', test, mode: options.mode || this.queryMode }, options);
+    }
+
+    // Remove a search or filter: every node returns to full opacity
+    clearFilter() {
+        if (!this.nodeQuery) return [];
+        this.nodeQuery = null;
+        this.nodes.forEach((n) => this.updateNodeVisibility(n));
+        this.handleGraphChange();
+        this.announce('Filter cleared.');
+        return [];
+    }
+
+    applyQuery(query, options) {
+        this.nodeQuery = query;
+        this.nodes.forEach((n) => this.updateNodeVisibility(n));
+        this.handleGraphChange();
+        const matches = this.nodes
+            .filter((n) => n.queryScore > 0 && n.targetPresence > 0 && !(n.group !== null && this.hiddenGroups.has(n.group)))
+            .sort((a, b) => b.queryScore - a.queryScore);
+        this.announce(matches.length === 1 ? '1 matching node.' : `${matches.length} matching nodes.`);
+        if (options.rotate && matches.length) {
+            this.focusNode(matches[0].id, { zoom: options.zoom ?? this.zoom });
+        }
+        return matches.map((n) => ({ ...this.nodeInfo(n), score: n.queryScore }));
+    }
+
+    // Rebuild the legend in the shadow DOM (one toggle button per group)
+    updateLegend() {
+        const groups = this.showLegend ? this.getGroups() : [];
+        if (!groups.length) {
+            if (this.legendEl) this.legendEl.remove();
+            this.legendEl = null;
+            return;
+        }
+        if (!this.legendEl) {
+            this.legendEl = document.createElement('div');
+            this.legendEl.className = 'legend';
+            this.legendEl.setAttribute('role', 'group');
+            this.legendEl.setAttribute('aria-label', 'Groups');
+            this.shadowRoot.appendChild(this.legendEl);
+        }
+        this.legendEl.classList.toggle('raised', !!this.timelineEl); // clear of the timeline bar
+        this.legendEl.replaceChildren(...groups.map((g) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.setAttribute('aria-pressed', String(!g.hidden));
+            const swatch = document.createElement('span');
+            swatch.className = 'swatch';
+            swatch.style.background = g.color;
+            button.append(swatch, `${g.name} (${g.count})`);
+            button.addEventListener('click', () => this.setGroupVisibility(g.name, g.hidden));
+            // Keep pointer presses on the legend from spinning or selecting in the mesh
+            button.addEventListener('pointerdown', (e) => e.stopPropagation());
+            button.addEventListener('pointerup', (e) => e.stopPropagation());
+            return button;
+        }));
+    }
+
+    // Update cartesian position from surface angles for the current layout
+    // (the force layout seeds from the sphere and then moves nodes itself)
+    positionNode(n) {
+        const r = n.radius;
+        const theta = n.theta, phi = n.phi;
+        const sinPhi = Math.sin(phi);
+        switch (this.layout) {
+            case 'torus': {
+                // theta around the ring, phi (0..PI) twice around the tube
+                const ring = r * (0.65 + 0.35 * Math.cos(2 * phi));
+                n.x = Math.cos(theta) * ring;
+                n.y = Math.sin(2 * phi) * r * 0.35;
+                n.z = Math.sin(theta) * ring;
+                break;
+            }
+            case 'cylinder':
+                n.x = Math.cos(theta) * r * 0.6;
+                n.y = Math.cos(phi) * r * 0.8;
+                n.z = Math.sin(theta) * r * 0.6;
+                break;
+            case 'plane': {
+                // Equal-area map of the sphere onto a disk
+                const d = Math.sqrt((1 - Math.cos(phi)) / 2) * r;
+                n.x = Math.cos(theta) * d;
+                n.y = 0;
+                n.z = Math.sin(theta) * d;
+                break;
+            }
+            case 'cube': {
+                const x = Math.cos(theta) * sinPhi, y = Math.cos(phi), z = Math.sin(theta) * sinPhi;
+                const s = (r * 0.58) / Math.max(Math.abs(x), Math.abs(y), Math.abs(z));
+                n.x = x * s;
+                n.y = y * s;
+                n.z = z * s;
+                break;
+            }
+            case 'shells': {
+                // Sphere of the node's level radius, turned by that shell's spin
+                const spun = theta + (this.shellAngles[n.level] || 0);
+                n.x = Math.cos(spun) * sinPhi * r;
+                n.y = Math.cos(phi) * r;
+                n.z = Math.sin(spun) * sinPhi * r;
+                break;
+            }
+            default:
+                n.x = Math.cos(theta) * sinPhi * r;
+                n.y = Math.cos(phi) * r;
+                n.z = Math.sin(theta) * sinPhi * r;
+        }
+    }
+
+    /**
+     * Switch layout, blending node positions from the old shape over transitionDuration.
+     * Surfaces keep each node's (theta, phi); the force layout starts from the current shape.
+     */
+    setLayout(layout) {
+        if (!DataMeshGraph.LAYOUTS.includes(layout)) layout = 'sphere'; // unknown names fall back
+        if (layout === this.layout) return;
+
+        const morph = this.layoutMorphProgress();
+        this.nodes.forEach((n) => {
+            const from = n.morphFrom;
+            n.morphFrom = from && morph < 1
+                ? { x: from.x + (n.x - from.x) * morph, y: from.y + (n.y - from.y) * morph, z: from.z + (n.z - from.z) * morph }
+                : { x: n.x, y: n.y, z: n.z };
+        });
+        const wasShells = this.layout === 'shells';
+        this.layout = layout;
+        this.layoutMorphStart = this.prefersReducedMotion ? 0 : Date.now();
+        if (layout === 'shells' || wasShells) {
+            // Shell radii, seats and collapsed subtrees only apply to the shells layout
+            this.nodes.forEach((n) => { n.parent = null; });
+            this.handleGraphChange();
+        }
+
+        if (layout === 'force') {
+            this.nodes.forEach((n) => { n.vx = 0; n.vy = 0; n.vz = 0; });
+            this.forceAlpha = 1;
+        } else {
+            this.nodes.forEach((n) => this.positionNode(n));
+        }
+        this.lastEdgeUpdateTime = 0;
+    }
+
+    // Eased 0..1 progress of the current layout blend (1 when idle)
+    layoutMorphProgress() {
+        if (!this.layoutMorphStart) return 1;
+        const t = Math.min(1, (Date.now() - this.layoutMorphStart) / Math.max(1, this.transitionDuration));
+        if (t >= 1) this.layoutMorphStart = 0;
+        return 1 - Math.pow(1 - t, 3);
+    }
+
+    // Restart the force simulation after structural changes
+    reheatForceLayout(alpha) {
+        if (this.layout === 'force') this.forceAlpha = Math.max(this.forceAlpha, alpha);
+    }
+
+    // One step of the force simulation: repulsion, edge springs and centering, then fit to graphRadius
+    tickForceLayout() {
+        const nodes = this.nodes;
+        const N = nodes.length;
+        if (this.forceAlpha < this.forceAlphaMin || N < 2) return;
+        const alpha = this.forceAlpha;
+        const R = this.graphRadius;
+
+        // Repulsion (in units of R), exact for small graphs and sampled for large ones
+        const sample = Math.min(N - 1, this.forceSampleSize);
+        const exact = sample === N - 1;
+        const repulsion = (this.forceRepulsion * 0.002 * alpha) / N * ((N - 1) / sample);
+        for (let i = 0; i < N; i++) {
+            const a = nodes[i];
+            for (let s = 0; s < sample; s++) {
+                let j = exact ? s : Math.floor(Math.random() * N);
+                if (exact && j >= i) j++;
+                if (j === i) continue;
+                const b = nodes[j];
+                let dx = (a.x - b.x) / R, dy = (a.y - b.y) / R, dz = (a.z - b.z) / R;
+                let d2 = dx * dx + dy * dy + dz * dz;
+                if (d2 < 1e-6) {
+                    dx = (Math.random() - 0.5) * 1e-3; dy = (Math.random() - 0.5) * 1e-3; dz = (Math.random() - 0.5) * 1e-3;
+                    d2 = 1e-6;
+                }
+                const f = repulsion / (d2 * Math.sqrt(d2));
+                a.vx += dx * f * R; a.vy += dy * f * R; a.vz += dz * f * R;
+            }
+        }
+
+        // Edge springs towards forceLinkDistance
+        const rest = this.forceLinkDistance;
+        for (let i = 0; i < this.edges.length; i++) {
+            const e = this.edges[i];
+            const a = nodes[e.a], b = nodes[e.b];
+            const dx = (b.x - a.x) / R, dy = (b.y - a.y) / R, dz = (b.z - a.z) / R;
+            const d = Math.sqrt(dx * dx + dy * dy + dz * dz) || 1e-6;
+            const f = ((d - rest) / d) * this.forceLinkStrength * alpha * 0.5 * e.presence;
+            a.vx += dx * f * R; a.vy += dy * f * R; a.vz += dz * f * R;
+            b.vx -= dx * f * R; b.vy -= dy * f * R; b.vz -= dz * f * R;
+        }
+
+        // Pull nodes towards their group centroid
+        if (this.forceGroupStrength > 0) {
+            const centroids = new Map();
+            for (let i = 0; i < N; i++) {
+                const n = nodes[i];
+                if (n.group === null) continue;
+                let c = centroids.get(n.group);
+                if (!c) centroids.set(n.group, c = { x: 0, y: 0, z: 0, count: 0 });
+                c.x += n.x; c.y += n.y; c.z += n.z; c.count++;
+            }
+            const pull = this.forceGroupStrength * alpha;
+            for (let i = 0; i < N; i++) {
+                const n = nodes[i];
+                const c = n.group !== null && centroids.get(n.group);
+                if (!c) continue;
+                n.vx += (c.x / c.count - n.x) * pull;
+                n.vy += (c.y / c.count - n.y) * pull;
+                n.vz += (c.z / c.count - n.z) * pull;
+            }
+        }
+
+        // Integrate with centering and velocity decay
+        let maxLen = 0;
+        for (let i = 0; i < N; i++) {
+            const n = nodes[i];
+            n.vx -= n.x * 0.01 * alpha; n.vy -= n.y * 0.01 * alpha; n.vz -= n.z * 0.01 * alpha;
+            n.x += n.vx; n.y += n.vy; n.z += n.vz;
+            n.vx *= this.forceVelocityDecay; n.vy *= this.forceVelocityDecay; n.vz *= this.forceVelocityDecay;
+            maxLen = Math.max(maxLen, n.x * n.x + n.y * n.y + n.z * n.z);
+        }
+
+        // Scale the whole layout so it fills the same bounds as the sphere
+        maxLen = Math.sqrt(maxLen);
+        if (maxLen > 0) {
+            const fit = R / maxLen;
+            for (let i = 0; i < N; i++) {
+                nodes[i].x *= fit; nodes[i].y *= fit; nodes[i].z *= fit;
+            }
+        }
+
+        this.forceAlpha *= 1 - this.forceAlphaDecay;
+    }
+
+    /**
+     * Connect to a live feed: ws:// and wss:// URLs use WebSocket, anything else
+     * Server-Sent Events. Each message is a JSON object (or array of objects):
+     *   {type: 'graph', nodes, edges}          replace the graph
+     *   {type: 'add-node', node}               node is an id or {id, ...}
+     *   {type: 'remove-node', id}
+     *   {type: 'add-edge', source, target, ...}  adds, or updates weight/throughput
+     *   {type: 'remove-edge', source, target}
+     *   {type: 'pulse-edge', source, target}
+     * Dropped connections are retried with exponential backoff; malformed messages
+     * are skipped and reported as an `error` event.
+     */
+    connectStream(url) {
+        this.disconnectStream();
+        this.streamUrl = url || null;
+        this.streamRetries = 0;
+        if (this.streamUrl) this.openStream();
+    }
+
+    openStream() {
+        const url = this.streamUrl;
+        const isSocket = /^wss?:/i.test(url);
+        let source;
+        try {
+            source = isSocket ? new WebSocket(url) : new EventSource(url);
+        } catch (err) {
+            this.reportError(err, url);
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.streamSource = source;
+        this.setStreamStatus('connecting');
+        source.onopen = () => {
+            this.streamRetries = 0;
+            this.setStreamStatus('open');
+        };
+        source.onmessage = (e) => this.receiveStreamData(e.data);
+        if (isSocket) {
+            source.onclose = () => this.scheduleReconnect();
+        } else {
+            // EventSource retries on its own at a fixed rate; use our backoff instead
+            source.onerror = () => this.scheduleReconnect();
+        }
+    }
+
+    scheduleReconnect() {
+        this.closeStreamSource();
+        if (!this.streamUrl) return;
+        const delay = Math.min(this.streamReconnectMaxMs, this.streamReconnectBaseMs * Math.pow(2, this.streamRetries));
+        const jittered = delay * (0.5 + Math.random() * 0.5);
+        this.streamRetries++;
+        this.setStreamStatus('reconnecting', Math.round(jittered));
+        this.streamTimer = setTimeout(() => {
+            this.streamTimer = null;
+            this.openStream();
+        }, jittered);
+    }
+
+    closeStreamSource() {
+        const source = this.streamSource;
+        if (!source) return;
+        source.onopen = source.onmessage = source.onerror = source.onclose = null;
+        source.close();
+        this.streamSource = null;
+    }
+
+    disconnectStream() {
+        clearTimeout(this.streamTimer);
+        this.streamTimer = null;
+        const wasConnected = !!this.streamSource;
+        this.closeStreamSource();
+        if (wasConnected) this.setStreamStatus('closed');
+    }
+
+    setStreamStatus(status, retryInMs) {
+        this.dispatchEvent(new CustomEvent('stream-status', {
+            detail: { status, url: this.streamUrl, retryInMs },
+            bubbles: true
+        }));
+    }
+
+    receiveStreamData(text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            this.reportError(err, this.streamUrl); // skip the message, keep the stream
+            return;
+        }
+        this.enqueueStreamMessages(Array.isArray(message) ? message : [message]);
+    }
+
+    enqueueStreamMessages(messages) {
+        this.streamQueue.push(...messages);
+    }
+
+    // Apply queued stream messages as a single graph diff (called once per frame)
+    flushStreamQueue() {
+        if (!this.streamQueue.length) return;
+        const messages = this.streamQueue;
+        this.streamQueue = [];
+
+        const pulses = [];
+        let changed = false;
+        let index = null; // id -> graphData node, built once per batch
+        messages.forEach((msg) => {
+            if (!msg || typeof msg !== 'object') return;
+            if (msg.type === 'pulse-edge') {
+                pulses.push(msg);
+            } else if (msg.type === 'graph') {
+                // Full snapshot: diffs against (or replaces) everything applied so far
+                this.setGraph(msg);
+                changed = false;
+                index = null;
+            } else {
+                if (!this.graphData) this.setGraph({ nodes: [], edges: [] });
+                if (!index) index = new Map(this.graphData.nodes.map((d) => [d.id, d]));
+                if (this.applyStreamMessage(msg, index)) changed = true;
+            }
+        });
+
+        if (changed) {
+            this.applyGraphData();
+            this.handleGraphChange();
+        }
+        pulses.forEach((msg) => this.pulseEdge(msg.source, msg.target));
+    }
+
+    // Apply one incremental message to this.graphData, keeping `index` (id -> node) in step;
+    // returns true when it changed anything. Malformed messages are reported as `error` events.
+    applyStreamMessage(msg, index) {
+        const graph = this.graphData;
+        const reject = (reason) => {
+            this.reportError(new Error(`ignoring stream message: ${reason}`), this.streamUrl);
+            return false;
+        };
+        switch (msg.type) {
+            case 'add-node': {
+                const raw = msg.node;
+                const isObject = raw !== null && typeof raw === 'object';
+                const id = isObject ? raw.id : raw;
+                if (id === null || id === undefined) return reject('add-node without an id');
+                const existing = index.get(id);
+                if (existing) {
+                    existing.data = isObject ? raw : { id };
+                } else {
+                    const node = { id, data: isObject ? raw : { id } };
+                    graph.nodes.push(node);
+                    index.set(id, node);
+                }
+                return true;
+            }
+            case 'remove-node': {
+                if (!index.delete(msg.id)) return false;
+                graph.nodes = graph.nodes.filter((d) => d.id !== msg.id);
+                graph.edges = graph.edges.filter((d) => d.source !== msg.id && d.target !== msg.id);
+                return true;
+            }
+            case 'add-edge': {
+                const { source, target } = msg;
+                if (source == null || target == null) return reject(`${msg.type} without source and target`);
+                if (source === target) return reject(`self-loop on "${source}"`);
+                if (!index.has(source) || !index.has(target)) {
+                    return reject(`edge ${source} \u2192 ${target} references an unknown node`);
+                }
+                const { type, ...data } = msg;
+                const existing = graph.edges.find((d) => d.source === source && d.target === target);
+                if (existing) existing.data = data;
+                else graph.edges.push({ source, target, data });
+                return true;
+            }
+            case 'remove-edge': {
+                const { source, target } = msg;
+                if (source == null || target == null) return reject('remove-edge without source and target');
+                // Either direction, like findEdge() and pulse-edge
+                const before = graph.edges.length;
+                graph.edges = graph.edges.filter((d) => !((d.source === source && d.target === target)
+                    || (d.source === target && d.target === source)));
+                return graph.edges.length !== before;
+            }
+            default:
+                return reject(`unknown type "${msg.type}"`);
+        }
+    }
+
+    // Find the edge between two node ids (either direction)
+    findEdge(source, target) {
+        const a = this.nodeIndex.get(source);
+        const b = this.nodeIndex.get(target);
+        if (a === undefined || b === undefined) return null;
+        return this.edges.find((e) => (e.a === a && e.b === b) || (e.a === b && e.b === a)) || null;
+    }
+
+    // Briefly flash the edge between two nodes and send a burst of particles from source to target
+    pulseEdge(source, target) {
+        const edge = this.findEdge(source, target);
+        if (!edge) return false;
+        edge.pulse = 1;
+        if (!this.prefersReducedMotion) {
+            if (!edge.bursts) edge.bursts = [];
+            edge.bursts.push({ t: 0, forward: edge.a === this.nodeIndex.get(source) });
+        }
+        return true;
+    }
+
+    /**
+     * Load timestamped graph snapshots for playback, replacing the current graph.
+     * Each snapshot is `{time, nodes, edges}` (or `{time, graph}`) in any setGraph form;
+     * `time` is a number, Date or date string. Either every snapshot has one or none does
+     * (then they are spaced evenly); snapshots missing a valid time among timed ones are
+     * skipped and reported as an `error` event. Between two snapshots, nodes and edges
+     * that only the later one has fade in, those it drops fade out, and weights of edges
+     * present in both ease across the gap; the layout settles around the changes.
+     * Options: { speed, loop, play }. Dispatches `timechange`; returns the snapshot count.
+     * Pass null to stop playback and keep the graph as it is.
+     */
+    loadTimeline(snapshots, options = {}) {
+        if (!snapshots) {
+            this.timeline = null;
+            this.updateTimelineControls();
+            return 0;
+        }
+        const valid = snapshots.filter((snap) => snap && typeof snap === 'object');
+        const dates = valid.some((snap) => snap.time instanceof Date || typeof snap.time === 'string');
+        // Index spacing only when no snapshot is timed; never mix indices with timestamps
+        const timed = valid.some((snap) => snap.time != null);
+        const list = [];
+        valid.forEach((snap, i) => {
+            let time = snap.time instanceof Date ? snap.time.getTime()
+                : (typeof snap.time === 'string' ? Date.parse(snap.time) : snap.time);
+            if (!timed) {
+                time = i;
+            } else if (typeof time !== 'number' || !isFinite(time)) {
+                this.reportError(new Error(`timeline snapshot ${i} has no valid time; skipped`), null);
+                return;
+            }
+            list.push({ time, graph: this.normalizeGraph(snap.graph || snap) });
+        });
+        list.sort((a, b) => a.time - b.time);
+        if (!list.length) return this.loadTimeline(null);
+
+        if (this.evolution) this.setEvolution(null);
+        this.timeline = {
+            snapshots: list,
+            time: list[0].time,
+            index: -1,
+            playing: false,
+            speed: options.speed ?? 1,
+            loop: !!options.loop,
+            lastTick: 0,
+            dates
+        };
+        this.seekTimeline(list[0].time);
+        this.updateTimelineControls();
+        if (options.play) this.playTimeline();
+        return list.length;
+    }
+
+    playTimeline() {
+        const timeline = this.timeline;
+        if (!timeline || timeline.playing) return;
+        const last = timeline.snapshots[timeline.snapshots.length - 1];
+        if (timeline.time >= last.time) this.seekTimeline(timeline.snapshots[0].time); // replay from the start
+        timeline.playing = true;
+        timeline.lastTick = Date.now();
+        this.dispatchTimeChange();
+    }
+
+    pauseTimeline() {
+        if (!this.timeline || !this.timeline.playing) return;
+        this.timeline.playing = false;
+        this.dispatchTimeChange();
+    }
+
+    setTimelineSpeed(speed) {
+        if (!this.timeline || !(speed > 0)) return;
+        this.timeline.speed = speed;
+        this.dispatchTimeChange();
+    }
+
+    // Jump to a time (clamped to the timeline), applying the snapshot in effect then
+    seekTimeline(time) {
+        const timeline = this.timeline;
+        if (!timeline) return;
+        const { snapshots } = timeline;
+        timeline.time = Math.min(snapshots[snapshots.length - 1].time, Math.max(snapshots[0].time, time));
+        let index = 0;
+        while (index + 1 < snapshots.length && snapshots[index + 1].time <= timeline.time) index++;
+        if (index !== timeline.index) {
+            timeline.index = index;
+            this.showGraph(this.blendSnapshots(snapshots[index].graph, snapshots[index + 1] && snapshots[index + 1].graph));
+        }
+        this.interpolateTimeline();
+        this.dispatchTimeChange();
+    }
+
+    getTimeline() {
+        const timeline = this.timeline;
+        if (!timeline) return null;
+        const { snapshots } = timeline;
+        const start = snapshots[0].time;
+        const end = snapshots[snapshots.length - 1].time;
+        return {
+            time: timeline.time,
+            start,
+            end,
+            progress: end > start ? (timeline.time - start) / (end - start) : 1,
+            index: timeline.index,
+            count: snapshots.length,
+            playing: timeline.playing,
+            speed: timeline.speed,
+            snapshot: snapshots[timeline.index]
+        };
+    }
+
+    // Per frame: move the playhead, pausing (or looping) at the end
+    advanceTimeline() {
+        const timeline = this.timeline;
+        if (!timeline || !timeline.playing) return;
+        const now = Date.now();
+        const elapsed = Math.min(250, now - timeline.lastTick); // clamp for tab switches
+        timeline.lastTick = now;
+        const { snapshots } = timeline;
+        const start = snapshots[0].time;
+        const end = snapshots[snapshots.length - 1].time;
+        // Evenly spaced steps when every snapshot shares one time
+        const span = end - start || 1;
+        let time = timeline.time + (span * elapsed * timeline.speed) / this.timelineDurationMs;
+        if (time >= end) {
+            if (timeline.loop && end > start) {
+                time = start + ((time - start) % span);
+            } else {
+                time = end;
+                timeline.playing = false;
+            }
+        }
+        this.seekTimeline(time);
+    }
+
+    // Ease weight/throughput of edges present in the current and next snapshot across the gap
+    /**
+     * Graph shown between two snapshots: the earlier one plus what only the later one has,
+     * so arrivals are already placed and can fade in (see interpolateTimeline)
+     */
+    blendSnapshots(current, next) {
+        const nodes = current.nodes.slice();
+        const edges = current.edges.slice();
+        const blend = { entering: new Set(), leaving: new Set(), enteringEdges: new Set(), leavingEdges: new Set() };
+        this.timeline.blend = blend;
+        if (!next) return { nodes, edges };
+
+        const key = (d) => d.source + '\u2192' + d.target;
+        const nextIds = new Set(next.nodes.map((d) => d.id));
+        const currentIds = new Set(nodes.map((d) => d.id));
+        const nextKeys = new Set(next.edges.map(key));
+        const currentKeys = new Set(edges.map(key));
+        nodes.forEach((d) => { if (!nextIds.has(d.id)) blend.leaving.add(d.id); });
+        edges.forEach((d) => { if (!nextKeys.has(key(d))) blend.leavingEdges.add(key(d)); });
+        next.nodes.forEach((d) => {
+            if (currentIds.has(d.id)) return;
+            blend.entering.add(d.id);
+            nodes.push(d);
+        });
+        next.edges.forEach((d) => {
+            if (currentKeys.has(key(d))) return;
+            blend.enteringEdges.add(key(d));
+            edges.push(d);
+        });
+        return { nodes, edges };
+    }
+
+    interpolateTimeline() {
+        const { snapshots, index, time, blend } = this.timeline;
+        const current = snapshots[index];
+        const next = snapshots[index + 1];
+        if (!next || !this.graphData) return;
+        const f = (time - current.time) / (next.time - current.time || 1);
+
+        // Cross-fade arrivals and departures; a floor keeps them until the boundary swaps the graph
+        const fadeIn = Math.max(1e-3, f);
+        const fadeOut = Math.max(1e-3, 1 - f);
+        blend.entering.forEach((id) => {
+            const n = this.nodes[this.nodeIndex.get(id)];
+            if (n) n.targetPresence = fadeIn;
+        });
+        blend.leaving.forEach((id) => {
+            const n = this.nodes[this.nodeIndex.get(id)];
+            if (n) n.targetPresence = fadeOut;
+        });
+        this.edges.forEach((e) => {
+            if (blend.enteringEdges.has(e.key)) e.targetPresence = fadeIn;
+            else if (blend.leavingEdges.has(e.key)) e.targetPresence = fadeOut;
+        });
+
+        const upcoming = new Map(next.graph.edges.map((d) => [d.source + '\u2192' + d.target, d]));
+        const edges = new Map(this.edges.map((e) => [e.key, e]));
+        current.graph.edges.forEach((d) => {
+            const key = d.source + '\u2192' + d.target;
+            const later = upcoming.get(key);
+            const edge = later && edges.get(key);
+            if (!edge) return;
+            const from = this.edgeMetrics(d.data);
+            const to = this.edgeMetrics(later.data);
+            if (from.weight != null && to.weight != null) edge.weight = from.weight + (to.weight - from.weight) * f;
+            edge.throughput = from.throughput + (to.throughput - from.throughput) * f;
+        });
+    }
+
+    dispatchTimeChange() {
+        this.syncTimelineControls();
+        this.dispatchEvent(new CustomEvent('timechange', { detail: this.getTimeline() }));
+    }
+
+    // Time as shown on the built-in bar: a date/time for dated snapshots, else the number
+    formatTimelineTime(time) {
+        return this.timeline.dates ? new Date(time).toLocaleString() : String(Math.round(time * 100) / 100);
+    }
+
+    // Built-in control bar: play/pause, scrubber, speed and the current time
+    updateTimelineControls() {
+        if (!this.timeline || !this.timelineControls) {
+            if (this.timelineEl) this.timelineEl.remove();
+            this.timelineEl = null;
+            if (this.legendEl) this.legendEl.classList.toggle('raised', false);
+            return;
+        }
+        if (!this.timelineEl) {
+            const bar = document.createElement('div');
+            bar.className = 'timeline';
+            bar.setAttribute('role', 'group');
+            bar.setAttribute('aria-label', 'Timeline');
+            // Keep presses and keys on the bar from spinning, selecting or navigating the mesh
+            ['pointerdown', 'pointerup', 'dblclick', 'wheel', 'keydown'].forEach((type) => {
+                bar.addEventListener(type, (e) => e.stopPropagation());
+            });
+
+            const play = document.createElement('button');
+            play.type = 'button';
+            play.className = 'play';
+            play.addEventListener('click', () => {
+                if (this.timeline && this.timeline.playing) this.pauseTimeline();
+                else this.playTimeline();
+            });
+
+            const scrubber = document.createElement('input');
+            scrubber.type = 'range';
+            scrubber.min = '0';
+            scrubber.max = '1000';
+            scrubber.setAttribute('aria-label', 'Time');
+            scrubber.addEventListener('input', () => {
+                const { start, end } = this.getTimeline();
+                this.seekTimeline(start + (end - start) * (Number(scrubber.value) / 1000));
+            });
+
+            const speed = document.createElement('select');
+            speed.setAttribute('aria-label', 'Playback speed');
+            this.timelineSpeeds.forEach((value) => {
+                const option = document.createElement('option');
+                option.value = String(value);
+                option.textContent = `${value}\u00d7`;
+                speed.appendChild(option);
+            });
+            speed.addEventListener('change', () => this.setTimelineSpeed(Number(speed.value)));
+
+            const label = document.createElement('output');
+            bar.append(play, scrubber, speed, label);
+            this.timelineEl = bar;
+            this.shadowRoot.appendChild(bar);
+            if (this.legendEl) this.legendEl.classList.toggle('raised', true);
+        }
+        this.syncTimelineControls();
+    }
+
+    syncTimelineControls() {
+        const bar = this.timelineEl;
+        const state = this.getTimeline();
+        if (!bar || !state) return;
+        const [play, scrubber, speed, label] = bar.children;
+        play.textContent = state.playing ? 'Pause' : 'Play';
+        play.setAttribute('aria-pressed', String(state.playing));
+        scrubber.value = String(Math.round(state.progress * 1000));
+        scrubber.setAttribute('aria-valuetext', this.formatTimelineTime(state.time));
+        speed.value = String(state.speed);
+        label.textContent = `${this.formatTimelineTime(state.time)} (${state.index + 1}/${state.count})`;
+    }
+
+    // Load a graph file from a URL; the format comes from the extension, else the content
+    load(url) {
+        return fetch(url)
+            .then((res) => {
+                if (!res.ok) throw new Error(`HTTP ${res.status} for ${url}`);
+                return res.text();
+            })
+            .then((text) => this.loadGraph(text, GraphFormats.formatForName(url), url))
+            .catch((err) => {
+                this.reportError(err, url);
+                return null;
+            });
+    }
+
+    /**
+     * Parse graph text and render it. `format` is one of json, graphml, gexf, dot,
+     * csv or tsv, or a file name to take the extension from; omitted, it is detected
+     * from the content. Parse errors are dispatched as an `error` event and return null.
+     */
+    loadGraph(text, format, source = null) {
+        // Anything that is not a format name is a file name (with or without an extension)
+        const named = format && !GraphFormats.FORMATS.includes(String(format).toLowerCase()) && String(format).toLowerCase() !== 'gv';
+        const type = named ? GraphFormats.formatForName(format) : format;
+        let graph;
+        try {
+            graph = GraphFormats.parse(text, type);
+            this.setGraph(graph);
+        } catch (err) {
+            this.reportError(err, source || (named ? format : null));
+            return null;
+        }
+        return graph;
+    }
+
+    // `error` event with the failure and where it came from (url or file name)
+    reportError(error, source) {
+        this.dispatchEvent(new CustomEvent('error', {
+            detail: { error, message: error.message, format: error.format || null, line: error.line || null, source }
+        }));
+    }
+
+    /**
+     * Render the given graph instead of the synthetic sphere.
+     * Nodes are ids or objects with an `id`; edges are `{source, target}` objects
+     * or `[source, target, weight?]` arrays. Edge objects may carry `weight` (line
+     * thickness/opacity), `throughput` (flow particle speed/density, defaults to
+     * weight) and `directed`. A node's `parent` (hierarchyField) adds a parent edge
+     * and puts the node one shell further out in the 'shells' layout. Subsequent calls
+     * diff against the current graph: new nodes fade in next to their neighbors,
+     * removed nodes and edges fade out.
+     * Pass null to return to the synthetic sphere.
+     */
+    setGraph(graph) {
+        if (!graph) {
+            this.graphData = null;
+            this.generateGraph();
+            return;
+        }
+
+        this.showGraph(this.normalizeGraph(graph));
+    }
+
+    // Render an already normalized graph (see normalizeGraph), diffing against the current one
+    showGraph(normalized) {
+        const initial = !this.graphData;
+        this.graphData = normalized;
+        if (initial) {
+            this.nodes = [];
+            this.edges = [];
+            this.layoutGraph(true);
+            this.reheatForceLayout(1);
+        } else {
+            this.applyGraphData();
+        }
+        this.handleGraphChange();
+    }
+
+    // Normalize node/edge input into {nodes: [{id, data}], edges: [{source, target, data}]}
+    normalizeGraph(graph) {
+        const nodes = [];
+        const seen = new Set();
+        (graph.nodes || []).forEach((raw, i) => {
+            const isObject = raw !== null && typeof raw === 'object';
+            const id = isObject ? (raw.id ?? i) : raw;
+            if (id === null || id === undefined || seen.has(id)) return;
+            seen.add(id);
+            nodes.push({ id, data: isObject ? raw : { id } });
+        });
+
+        const edges = [];
+        (graph.edges || graph.links || []).forEach((raw) => {
+            if (!raw) return;
+            const source = Array.isArray(raw) ? raw[0] : raw.source;
+            const target = Array.isArray(raw) ? raw[1] : raw.target;
+            if (!seen.has(source) || !seen.has(target) || source === target) return;
+            edges.push({ source, target, data: Array.isArray(raw) ? (raw.length > 2 ? { weight: raw[2] } : {}) : raw });
+        });
+
+        // Parent links from the hierarchy field become edges unless the data already has them
+        const linked = new Set(edges.map((d) => d.source + '\u2192' + d.target));
+        nodes.forEach((d) => {
+            const parent = d.data[this.hierarchyField];
+            if (parent == null || parent === d.id || !seen.has(parent)) return;
+            if (linked.has(parent + '\u2192' + d.id) || linked.has(d.id + '\u2192' + parent)) return;
+            edges.push({ source: parent, target: d.id, data: { hierarchy: true } });
+        });
+
+        return { nodes, edges };
+    }
+
+    // Place all graph data nodes on the Fibonacci sphere
+    layoutGraph(animate) {
+        const { nodes, edges } = this.graphData;
+        const presence = animate && !this.prefersReducedMotion ? 0 : 1;
+        const slots = this.clusterSlots(nodes);
+        this.nodes = nodes.map((d, i) => {
+            const { phi, theta } = slots[i];
+            return this.createNode(d.id, d.data, phi, theta, presence);
+        });
+        this.rebuildNodeIndex();
+        this.edges = edges.map((d) => this.createEdge(d, presence));
+        this.pruneSelection();
+    }
+
+    /**
+     * Fibonacci slots for the given nodes, assigned so that each group occupies
+     * a compact cap around its own center (largest groups pick first).
+     */
+    clusterSlots(nodes) {
+        const N = nodes.length;
+        const slots = nodes.map((d, i) => this.fibonacciPoint(i, N));
+        const members = new Map();
+        const ungrouped = [];
+        nodes.forEach((d, i) => {
+            const group = d.data && d.data.group != null ? String(d.data.group) : null;
+            if (group === null) {
+                ungrouped.push(i);
+                return;
+            }
+            if (!members.has(group)) members.set(group, []);
+            members.get(group).push(i);
+        });
+        if (!members.size) return slots;
+
+        const unit = slots.map(({ phi, theta }) => ({
+            x: Math.cos(theta) * Math.sin(phi), y: Math.cos(phi), z: Math.sin(theta) * Math.sin(phi)
+        }));
+        const free = new Set(slots.keys());
+        const assigned = new Array(N);
+        const order = Array.from(members.values()).sort((a, b) => b.length - a.length);
+        order.forEach((indices, g) => {
+            const center = this.fibonacciPoint(g, order.length);
+            const cx = Math.cos(center.theta) * Math.sin(center.phi);
+            const cy = Math.cos(center.phi);
+            const cz = Math.sin(center.theta) * Math.sin(center.phi);
+            const nearest = Array.from(free).sort((a, b) =>
+                (unit[b].x * cx + unit[b].y * cy + unit[b].z * cz) - (unit[a].x * cx + unit[a].y * cy + unit[a].z * cz));
+            indices.forEach((nodeIndex, m) => {
+                assigned[nodeIndex] = slots[nearest[m]];
+                free.delete(nearest[m]);
+            });
+        });
+        const rest = Array.from(free);
+        ungrouped.forEach((nodeIndex, m) => { assigned[nodeIndex] = slots[rest[m]]; });
+        return assigned;
+    }
+
+    createEdge(d, presence) {
+        return {
+            a: this.nodeIndex.get(d.source),
+            b: this.nodeIndex.get(d.target),
+            source: d.source,
+            target: d.target,
+            key: d.source + '\u2192' + d.target,
+            data: d.data,
+            presence,
+            targetPresence: 1,
+            flowPhase: Math.random(), // staggers particles between edges
+            bursts: [],
+            ...this.edgeMetrics(d.data)
+        };
+    }
+
+    // Weight, throughput and direction from edge data (null weight draws a plain line)
+    edgeMetrics(data) {
+        const number = (v) => (typeof v === 'number' && isFinite(v) && v >= 0 ? v : null);
+        const weight = number(data && (data.weight ?? data.value));
+        const throughput = number(data && data.throughput) ?? weight ?? 0;
+        const directed = data && typeof data.directed === 'boolean' ? data.directed : this.edgesDirected;
+        return { weight, throughput, directed };
+    }
+
+    rebuildNodeIndex() {
+        this.nodeIndex = new Map();
+        this.nodes.forEach((n, i) => this.nodeIndex.set(n.id, i));
+        this.sphereGridStamp = null; // grid buckets hold indices
+    }
+
+    // Diff graph data against the current nodes/edges and start enter/exit transitions
+    applyGraphData() {
+        const { nodes, edges } = this.graphData;
+        const incoming = new Set(nodes.map((d) => d.id));
+        const added = [];
+
+        this.nodes.forEach((n) => {
+            if (!incoming.has(n.id)) n.targetPresence = 0;
+        });
+        nodes.forEach((d) => {
+            const existing = this.nodes[this.nodeIndex.get(d.id)];
+            if (existing) {
+                existing.data = d.data;
+                existing.targetPresence = 1;
+                this.assignGroup(existing);
+            } else {
+                const node = this.createNode(d.id, d.data, 0, 0, 0);
+                added.push(node);
+                this.nodes.push(node);
+            }
+        });
+        this.rebuildNodeIndex();
+        this.placeNewNodes(added, edges);
+        this.reheatForceLayout(0.5);
+
+        const edgeIndex = new Map(this.edges.map((e) => [e.key, e]));
+        const incomingEdges = new Set();
+        edges.forEach((d) => {
+            const key = d.source + '\u2192' + d.target;
+            incomingEdges.add(key);
+            const existing = edgeIndex.get(key);
+            if (existing) {
+                existing.data = d.data;
+                existing.targetPresence = 1;
+                Object.assign(existing, this.edgeMetrics(d.data));
+            } else {
+                this.edges.push(this.createEdge(d, 0));
+            }
+        });
+        this.edges.forEach((e) => {
+            if (!incomingEdges.has(e.key)) e.targetPresence = 0;
+        });
+
+        if (this.prefersReducedMotion) {
+            this.nodes.forEach((n) => { n.presence = n.targetPresence; });
+            this.edges.forEach((e) => { e.presence = e.targetPresence; });
+            this.compactGraph();
+        }
+    }
+
+    // Place new nodes next to already placed neighbors, or in the emptiest region
+    placeNewNodes(added, edges) {
+        if (!added.length) return;
+        const isNew = new Set(added);
+        const spacing = Math.sqrt(4 * Math.PI / Math.max(1, this.nodes.length));
+
+        added.forEach((node) => {
+            let sx = 0, sy = 0, sz = 0;
+            edges.forEach((d) => {
+                const other = d.source === node.id ? d.target : (d.target === node.id ? d.source : null);
+                if (other === null) return;
+                const n = this.nodes[this.nodeIndex.get(other)];
+                if (!n || isNew.has(n)) return;
+                sx += n.x / n.radius; sy += n.y / n.radius; sz += n.z / n.radius;
+            });
+
+            // Without placed neighbors, join the node's group
+            if (sx === 0 && sy === 0 && sz === 0 && node.group !== null) {
+                this.nodes.forEach((n) => {
+                    if (n.group !== node.group || isNew.has(n)) return;
+                    sx += n.x / n.radius; sy += n.y / n.radius; sz += n.z / n.radius;
+                });
+            }
+
+            let dir;
+            const len = Math.sqrt(sx * sx + sy * sy + sz * sz);
+            if (len > 1e-6) {
+                // Offset from the neighbor centroid by roughly one node spacing
+                dir = {
+                    x: sx / len + (Math.random() - 0.5) * spacing,
+                    y: sy / len + (Math.random() - 0.5) * spacing,
+                    z: sz / len + (Math.random() - 0.5) * spacing
+                };
+            } else {
+                dir = this.emptiestDirection(isNew);
+            }
+
+            const dl = Math.sqrt(dir.x * dir.x + dir.y * dir.y + dir.z * dir.z) || 1;
+            node.phi = Math.acos(Math.max(-1, Math.min(1, dir.y / dl)));
+            node.theta = Math.atan2(dir.z, dir.x);
+            this.positionNode(node);
+            isNew.delete(node);
+        });
+    }
+
+    // Best of a few random directions by angular distance to the nearest placed node
+    emptiestDirection(exclude) {
+        let best = null;
+        let bestDot = Infinity;
+        for (let c = 0; c < 12; c++) {
+            const z = Math.random() * 2 - 1;
+            const t = Math.random() * Math.PI * 2;
+            const r = Math.sqrt(1 - z * z);
+            const cand = { x: Math.cos(t) * r, y: z, z: Math.sin(t) * r };
+            let maxDot = -1;
+            for (let i = 0; i < this.nodes.length; i++) {
+                const n = this.nodes[i];
+                if (exclude.has(n)) continue;
+                const dot = (cand.x * n.x + cand.y * n.y + cand.z * n.z) / n.radius;
+                if (dot > maxDot) maxDot = dot;
+            }
+            if (maxDot < bestDot) {
+                bestDot = maxDot;
+                best = cand;
+            }
+        }
+        return best;
+    }
+
+    // Advance enter/exit transitions and drop fully faded-out nodes and edges
+    updateTransitions(dt) {
+        const step = this.prefersReducedMotion ? 1 : (dt * 1000) / Math.max(1, this.transitionDuration);
+        for (let i = 0; i < this.nodes.length; i++) {
+            const n = this.nodes[i];
+            if (n.match !== n.targetMatch) {
+                n.match = n.match < n.targetMatch ? Math.min(n.targetMatch, n.match + step) : Math.max(n.targetMatch, n.match - step);
+            }
+            if (n.emphasis !== n.targetEmphasis) {
+                n.emphasis = n.emphasis < n.targetEmphasis
+                    ? Math.min(n.targetEmphasis, n.emphasis + step)
+                    : Math.max(n.targetEmphasis, n.emphasis - step);
+            }
+            if (n.visibility === n.targetVisibility) continue;
+            n.visibility = n.visibility < n.targetVisibility
+                ? Math.min(n.targetVisibility, n.visibility + step)
+                : Math.max(n.targetVisibility, n.visibility - step);
+        }
+
+        // Pulses decay; particles advance proportionally to throughput
+        let weightMax = 0;
+        let throughputMax = 0;
+        for (let i = 0; i < this.edges.length; i++) {
+            const e = this.edges[i];
+            if (e.weight > weightMax) weightMax = e.weight;
+            if (e.throughput > throughputMax) throughputMax = e.throughput;
+        }
+        this.edgeWeightMax = weightMax;
+        this.edgeThroughputMax = throughputMax;
+        const motion = this.prefersReducedMotion ? 0 : dt;
+        for (let i = 0; i < this.edges.length; i++) {
+            const e = this.edges[i];
+            if (e.pulse > 0) e.pulse = Math.max(0, e.pulse - dt / 0.6);
+            if (e.throughput > 0) {
+                e.flowPhase = (e.flowPhase + this.flowSpeed * (e.throughput / throughputMax) * motion) % 1;
+            }
+            if (e.bursts && e.bursts.length) {
+                e.bursts.forEach((b) => { b.t += this.burstSpeed * dt; });
+                // keep a burst until its tail has reached the far node
+                e.bursts = e.bursts.filter((b) => b.t < 1 + this.burstParticles * 0.04);
+            }
+        }
+
+        if (!this.graphData) return;
+        let finished = false;
+        const advance = (item) => {
+            if (item.presence === item.targetPresence) return;
+            item.presence = item.presence < item.targetPresence
+                ? Math.min(item.targetPresence, item.presence + step)
+                : Math.max(item.targetPresence, item.presence - step);
+            if (item.presence === 0) finished = true;
+        };
+        this.nodes.forEach(advance);
+        this.edges.forEach(advance);
+        if (finished) this.compactGraph();
+    }
+
+    // Remove nodes/edges that finished fading out and remap edge indices
+    compactGraph() {
+        this.nodes = this.nodes.filter((n) => n.presence > 0 || n.targetPresence > 0);
+        this.rebuildNodeIndex();
+        this.edges = this.edges.filter((e) => {
+            if (e.presence === 0 && e.targetPresence === 0) return false;
+            e.a = this.nodeIndex.get(e.source);
+            e.b = this.nodeIndex.get(e.target);
+            return e.a !== undefined && e.b !== undefined;
+        });
+        this.pruneSelection();
+        this.handleGraphChange();
+    }
+
+    /**
+     * Run an evolution model on the graph data, or stop it with null. Options: rate
+     * (steps per second), target, seed, degree, mixing, and restart to replace the
+     * current graph with the model's seed graph. Without graph data the seed graph
+     * is always used, so a model and seed replay the same evolution.
+     */
+    setEvolution(model, options = {}) {
+        const { restart = false, rate, target, seed, degree, mixing } = options;
+        if (rate !== undefined) this.evolutionRate = rate;
+        if (target !== undefined) this.evolutionTarget = target;
+        if (seed !== undefined) this.evolutionSeed = seed;
+        if (degree !== undefined) this.evolutionDegree = degree;
+        if (mixing !== undefined) this.evolutionMixing = mixing;
+
+        this.evolutionModel = model || null;
+        this.evolution = model
+            ? new GraphEvolution(model, {
+                target: this.evolutionTarget,
+                seed: this.evolutionSeed,
+                degree: this.evolutionDegree,
+                mixing: this.evolutionMixing,
+                rewireAmount: this.rewireAmount
+            })
+            : null;
+        if (this.evolution && (restart || !this.graphData)) {
+            this.setGraph(this.evolution.seedGraph(this.nodeCount));
+        }
+        this.lastRewireTime = Date.now();
+    }
+
+    // Advance the evolution model (or autoRewire churn) by at most one step per frame
+    evolveGraph() {
+        if (this.timeline) return; // a timeline owns the graph while loaded
+        if (!this.graphData) {
+            this.rewireSyntheticEdges();
+            return;
+        }
+        let evolution = this.evolution;
+        let rate = this.evolutionRate;
+        if (!evolution && this.autoRewire) {
+            // Rebuilt when rewireAmount changes (it is a plain property, e.g. via setProperties)
+            if (!this.rewiring || this.rewiring.rewireAmount !== this.rewireAmount) {
+                this.rewiring = new GraphEvolution('random', { seed: this.evolutionSeed, rewireAmount: this.rewireAmount });
+            }
+            evolution = this.rewiring;
+            rate = 1000 / this.rewireIntervalMs;
+        }
+        if (!evolution || !(rate > 0)) return;
+
+        const now = Date.now();
+        const interval = 1000 / rate;
+        if (now - this.lastRewireTime < interval) return;
+        // Step on a fixed cadence, but don't try to catch up after a long pause
+        this.lastRewireTime = now - this.lastRewireTime > interval * 4 ? now : this.lastRewireTime + interval;
+
+        // Applied through the stream queue so births and deaths animate like live updates
+        this.enqueueStreamMessages(evolution.step(this.graphData));
+    }
+
+    // autoRewire without graph data: swap random synthetic edges until the next neighbor recompute
+    rewireSyntheticEdges() {
+        if (!this.autoRewire || this.nodes.length < 2 || !this.edges.length) return;
+        const now = Date.now();
+        if (now - this.lastRewireTime < this.rewireIntervalMs) return;
+        this.lastRewireTime = now;
+
+        const numToRewire = Math.max(1, Math.floor(this.edges.length * this.rewireAmount));
+        for (let r = 0; r < numToRewire; r++) {
+            const idx = Math.floor(Math.random() * this.edges.length);
+            const a = Math.floor(Math.random() * this.nodes.length);
+            let b = Math.floor(Math.random() * this.nodes.length);
+            if (b === a) b = (b + 1) % this.nodes.length;
+            this.edges[idx] = { a, b, presence: 1, targetPresence: 1 };
+        }
+        this.analysisDirty = true;
+        this.graphStats = null;
+    }
+
+    // Project a 3D point with perspective
+    project(point, ax, ay) {
+        // rotate around X then Y
+        const cosX = Math.cos(ax), sinX = Math.sin(ax);
+        const cosY = Math.cos(ay), sinY = Math.sin(ay);
+
+        let y = point.y * cosX - point.z * sinX;
+        let z = point.y * sinX + point.z * cosX;
+        let x = point.x * cosY + z * sinY;
+        z = -point.x * sinY + z * cosY;
+
+        // perspective from a camera at depth / zoom, then roll and pan on screen
+        const f = this.depth / (this.depth / this.zoom + z);
+        const cosZ = Math.cos(this.angleZ), sinZ = Math.sin(this.angleZ);
+        return {
+            x: this.centerX + this.panX + (x * cosZ - y * sinZ) * f,
+            y: this.centerY + this.panY + (x * sinZ + y * cosZ) * f,
+            scale: f,
+            z
+        };
+    }
+
+    // Inverse rotation (camera-space to object-space)
+    inverseRotate(x, y, z, ax, ay) {
+        const cosY = Math.cos(-ay), sinY = Math.sin(-ay);
+        let xi = x * cosY + z * sinY;
+        let zi = -x * sinY + z * cosY;
+        const cosX = Math.cos(-ax), sinX = Math.sin(-ax);
+        const yi = y * cosX - zi * sinX;
+        const zi2 = y * sinX + zi * cosX;
+        return { x: xi, y: yi, z: zi2 };
+    }
+
+    // Map mouse position to object-space point on the sphere surface (near side)
+    mouseToSphereObjectSpace() {
+        return this.screenToSphereObjectSpace(this.mouseX, this.mouseY);
+    }
+
+    // Object-space point on the near sphere surface under a screen point
+    // (off-sphere points snap to the rim unless clampToRim is false, which returns null)
+    screenToSphereObjectSpace(sx, sy, clampToRim = true) {
+        // undo pan and roll, leaving a perspective offset from the view center
+        const cosZ = Math.cos(-this.angleZ), sinZ = Math.sin(-this.angleZ);
+        const ox = sx - this.centerX - this.panX;
+        const oy = sy - this.centerY - this.panY;
+        const a = (ox * cosZ - oy * sinZ) / this.depth;
+        const b = (ox * sinZ + oy * cosZ) / this.depth;
+        const R = this.graphRadius;
+        if (!isFinite(a) || !isFinite(b) || !R) return null;
+
+        // Intersect the camera ray with the sphere: u = D + z along x = a*u, y = b*u
+        const D = this.depth / this.zoom;
+        const c = 1 + a * a + b * b;
+        const disc = D * D - c * (D * D - R * R);
+        if (disc < 0 && !clampToRim) return null;
+        const u = (D - Math.sqrt(Math.max(0, disc))) / c; // near hemisphere (negative z)
+        let x = a * u, y = b * u, z = u - D;
+        if (disc < 0) {
+            // closest approach lies outside the sphere; project it back onto the surface
+            const len = Math.hypot(x, y, z) || 1;
+            x *= R / len; y *= R / len; z *= R / len;
+        }
+        // Convert to object space via inverse rotation using current angles
+        return this.inverseRotate(x, y, z, this.angleX, this.angleY);
+    }
+
+    // Distance, angle and midpoint of the first two active pointers
+    measurePinch() {
+        const [a, b] = Array.from(this.activePointers.values());
+        return {
+            dist: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+            angle: Math.atan2(b.y - a.y, b.x - a.x),
+            x: (a.x + b.x) / 2,
+            y: (a.y + b.y) / 2
+        };
+    }
+
+    // Feed a two-finger gesture step into the zoom, roll and pan velocities
+    applyPinch(next, rect) {
+        const prev = this.pinch;
+        const gain = 1 - this.inertiaDamping;
+        let turn = next.angle - prev.angle;
+        if (turn > Math.PI) turn -= Math.PI * 2;
+        if (turn < -Math.PI) turn += Math.PI * 2;
+        this.zoomAnchorX = next.x - rect.left;
+        this.zoomAnchorY = next.y - rect.top;
+        this.zoomVel += Math.log(next.dist / prev.dist) * gain;
+        this.angularVelZ += turn * gain;
+        this.panVelX += (next.x - prev.x) * gain;
+        this.panVelY += (next.y - prev.y) * gain;
+        this.pinch = next;
+    }
+
+    // Zoom range for the current scene: never closer than minCameraDistance radii
+    zoomLimits() {
+        const radius = Math.max(this.graphRadius || 1, this.sceneRadius);
+        const nearest = this.depth / (radius * this.minCameraDistance);
+        return { min: Math.min(this.minZoom, nearest), max: Math.min(this.maxZoom, nearest) };
+    }
+
+    // Integrate camera velocities with damping, ease toward a focus target and clamp
+    updateCamera() {
+        const damping = this.inertiaDamping;
+        const limits = this.zoomLimits();
+
+        const target = this.cameraTarget;
+        if (target && target.duration != null) {
+            // Timed animation (rotateTo/zoomTo/focusNode): interpolate from the starting camera
+            if (target.node) Object.assign(target, this.anglesFacing(target.node));
+            const from = target.from;
+            const t = target.duration > 0 ? Math.min(1, (Date.now() - target.start) / target.duration) : 1;
+            const e = target.easing(t);
+            if (target.angleX != null) this.angleX = from.angleX + this.nearestAngle(from.angleX, target.angleX) * e;
+            if (target.angleY != null) this.angleY = from.angleY + this.nearestAngle(from.angleY, target.angleY) * e;
+            if (target.roll != null) this.angleZ = from.roll + this.nearestAngle(from.roll, target.roll) * e;
+            // Zoom interpolates in log space so zooming in and out feel alike
+            if (target.zoom != null) this.zoom = from.zoom * Math.pow(target.zoom / from.zoom, e);
+            if (target.recenter) {
+                this.panX = from.panX * (1 - e);
+                this.panY = from.panY * (1 - e);
+            }
+            if (t >= 1) {
+                // Arrived; a focused node stays followed by the eased target below
+                this.setCameraTarget(target.node ? { node: target.node, zoom: target.zoom } : null, true);
+            }
+        } else if (target) {
+            // Follow a focused node as it drifts
+            if (target.node) Object.assign(target, this.anglesFacing(target.node));
+            const ease = this.prefersReducedMotion ? 1 : 0.12;
+            // A target without angles (camera reset) leaves the rotation alone
+            const turnX = target.angleX == null ? 0 : this.nearestAngle(this.angleX, target.angleX);
+            const turnY = target.angleY == null ? 0 : this.nearestAngle(this.angleY, target.angleY);
+            this.angleX += turnX * ease;
+            this.angleY += turnY * ease;
+            this.zoom += (target.zoom - this.zoom) * ease;
+            this.panX += (0 - this.panX) * ease;
+            this.panY += (0 - this.panY) * ease;
+            const done = Math.abs(target.zoom - this.zoom) < 1e-3 && Math.abs(turnX) < 1e-3 && Math.abs(turnY) < 1e-3
+                && Math.abs(this.panX) < 0.5 && Math.abs(this.panY) < 0.5;
+            if (done && !target.node) {
+                this.zoom = target.zoom;
+                this.setCameraTarget(null, true);
+            }
+        }
+
+        if (this.zoomVel) {
+            const before = this.zoom;
+            this.zoom = Math.min(limits.max, Math.max(limits.min, this.zoom * Math.exp(this.zoomVel)));
+            // Keep the point under the cursor/pinch in place
+            const k = this.zoom / before;
+            this.panX = this.panX * k + (this.zoomAnchorX - this.centerX) * (1 - k);
+            this.panY = this.panY * k + (this.zoomAnchorY - this.centerY) * (1 - k);
+            this.zoomVel *= damping;
+            if (Math.abs(this.zoomVel) < 1e-5) this.zoomVel = 0;
+        } else {
+            this.zoom = Math.min(limits.max, Math.max(limits.min, this.zoom));
+        }
+
+        this.angleZ += this.angularVelZ;
+        this.angularVelZ *= damping;
+        this.panX += this.panVelX;
+        this.panY += this.panVelY;
+        this.panVelX *= damping;
+        this.panVelY *= damping;
+
+        // Keep part of the graph on screen
+        const reach = (this.graphRadius || 0) * this.zoom;
+        this.panX = Math.min(reach, Math.max(-reach, this.panX));
+        this.panY = Math.min(reach, Math.max(-reach, this.panY));
+    }
+
+    // Signed shortest turn from one angle to another
+    nearestAngle(from, to) {
+        const d = (to - from) % (Math.PI * 2);
+        return d > Math.PI ? d - Math.PI * 2 : (d < -Math.PI ? d + Math.PI * 2 : d);
+    }
+
+    // Rotation angles that bring an object-space point to the front center
+    anglesFacing(point) {
+        const h = Math.hypot(point.y, point.z);
+        return { angleX: Math.atan2(-point.y, -point.z), angleY: Math.atan2(point.x, h) };
+    }
+
+    // Replace the camera target, settling the promise of the one it replaces
+    // (true when it arrived, false when it was interrupted)
+    setCameraTarget(target, arrived = false) {
+        const previous = this.cameraTarget;
+        this.cameraTarget = target;
+        if (previous && previous.resolve && previous !== target) previous.resolve(arrived);
+    }
+
+    // User input takes over the camera: cancel any animation and stop a running tour
+    interruptCamera() {
+        this.stopTour();
+        this.setCameraTarget(null);
+    }
+
+    // Start a timed camera animation; resolves true on arrival, false if interrupted
+    animateCamera(target, options = {}) {
+        const duration = this.prefersReducedMotion ? 0 : Math.max(0, options.duration ?? this.cameraDuration);
+        const easing = options.easing ?? this.cameraEasing;
+        return new Promise((resolve) => {
+            this.setCameraTarget({
+                ...target,
+                from: this.getCamera(),
+                start: Date.now(),
+                duration,
+                easing: typeof easing === 'function' ? easing : (DataMeshGraph.EASINGS[easing] || DataMeshGraph.EASINGS.linear),
+                resolve
+            });
+            this.autoRotatePaused = true;
+            this.angularVelX = this.angularVelY = this.angularVelZ = 0;
+            this.zoomVel = this.panVelX = this.panVelY = 0;
+        });
+    }
+
+    /**
+     * Ease the rotation to the given angles (radians; omitted angles keep their value,
+     * `roll` is the in-plane rotation). Auto-rotation stays paused until resetCamera().
+     * Options: { duration, easing }. Resolves true on arrival, false if interrupted.
+     */
+    rotateTo({ angleX, angleY, roll } = {}, options = {}) {
+        return this.animateCamera({ angleX, angleY, roll }, options);
+    }
+
+    /**
+     * Ease the zoom to a factor, clamped to the camera limits. Options: { duration, easing }.
+     * Resolves true on arrival, false if interrupted.
+     */
+    zoomTo(zoom, options = {}) {
+        const limits = this.zoomLimits();
+        return this.animateCamera({ zoom: Math.min(limits.max, Math.max(limits.min, zoom)) }, options);
+    }
+
+    /**
+     * Rotate a node to the front, centered, and zoom to `options.zoom` (default focusZoom);
+     * the camera keeps following the node afterwards. Options: { zoom, duration, easing }.
+     * Resolves true on arrival, false if interrupted or the node is unknown.
+     */
+    focusNode(id, options = {}) {
+        const node = this.nodes[this.nodeIndex.get(id)];
+        if (!node) return Promise.resolve(false);
+        const limits = this.zoomLimits();
+        const zoom = Math.min(limits.max, Math.max(limits.min, options.zoom ?? this.focusZoom));
+        return this.animateCamera({ node, zoom, recenter: true }, options);
+    }
+
+    /**
+     * Play a scripted walkthrough. Each step is
+     * { node, angleX, angleY, roll, zoom, caption, duration, easing, hold, select }:
+     * the camera focuses `node` (or rotates/zooms to the given values), shows the caption
+     * and waits `hold` ms (default tourHoldMs). Dispatches `tourstep` and `tourend` events;
+     * any user camera input stops the tour. Options: { loop }.
+     * Resolves true when the tour finished, false when it was stopped.
+     */
+    playTour(steps, options = {}) {
+        this.stopTour();
+        if (!Array.isArray(steps) || !steps.length) return Promise.resolve(true);
+        return new Promise((resolve) => {
+            const tour = { steps, index: -1, timer: null, resolve };
+            this.tour = tour;
+            const next = () => {
+                if (this.tour !== tour) return;
+                tour.index++;
+                if (tour.index >= steps.length) {
+                    if (!options.loop) {
+                        this.endTour(true);
+                        return;
+                    }
+                    tour.index = 0;
+                }
+                this.runTourStep(tour).then((arrived) => {
+                    if (this.tour !== tour) return;
+                    if (!arrived) {
+                        this.endTour(false);
+                        return;
+                    }
+                    const step = steps[tour.index];
+                    tour.timer = setTimeout(next, Math.max(0, step.hold ?? this.tourHoldMs));
+                });
+            };
+            next();
+        });
+    }
+
+    // Move the camera for one tour step and show its caption
+    runTourStep(tour) {
+        const step = tour.steps[tour.index];
+        const options = { duration: step.duration, easing: step.easing };
+        this.showCaption(step.caption);
+        if (step.caption) this.announce(step.caption);
+        if (step.node != null && step.select) this.selectNodes([step.node]);
+        this.dispatchEvent(new CustomEvent('tourstep', {
+            detail: { index: tour.index, step, total: tour.steps.length }
+        }));
+
+        // animateCamera replaces the previous target without stopping the tour (unlike user input)
+        if (step.node != null) {
+            const node = this.nodes[this.nodeIndex.get(step.node)];
+            if (!node) return Promise.resolve(true); // unknown nodes only show their caption
+            return this.focusNode(step.node, { ...options, zoom: step.zoom });
+        }
+        const limits = this.zoomLimits();
+        const zoom = step.zoom == null ? undefined : Math.min(limits.max, Math.max(limits.min, step.zoom));
+        return this.animateCamera({ angleX: step.angleX, angleY: step.angleY, roll: step.roll, zoom }, options);
+    }
+
+    // Stop a running tour (its promise resolves false); the camera stays where it is
+    stopTour() {
+        if (this.tour) this.endTour(false);
+    }
+
+    endTour(completed) {
+        const tour = this.tour;
+        this.tour = null;
+        clearTimeout(tour.timer);
+        this.showCaption(null);
+        this.dispatchEvent(new CustomEvent('tourend', {
+            detail: { completed, index: tour.index, total: tour.steps.length }
+        }));
+        tour.resolve(completed);
+    }
+
+    showCaption(text) {
+        if (!this.captionEl) {
+            if (!text) return;
+            this.captionEl = document.createElement('div');
+            this.captionEl.className = 'caption';
+            this.captionEl.setAttribute('aria-hidden', 'true'); // spoken through the live region
+            this.shadowRoot.appendChild(this.captionEl);
+        }
+        this.captionEl.textContent = text || '';
+        this.captionEl.hidden = !text;
+    }
+
+    // Double-click: rotate a node (or the surface under the pointer) to the front and zoom in;
+    // on empty background outside the sphere, reset the camera
+    focusAt(x, y) {
+        const node = this.hitTest(x, y);
+        const limits = this.zoomLimits();
+        this.stopTour();
+        if (node) {
+            this.setCameraTarget({ node, zoom: Math.min(limits.max, Math.max(this.zoom, this.focusZoom)) });
+        } else {
+            const point = this.screenToSphereObjectSpace(x, y, false);
+            if (!point) {
+                this.resetCamera();
+                return;
+            }
+            this.setCameraTarget({ node: null, zoom: Math.min(limits.max, this.zoom * 1.5), ...this.anglesFacing(point) });
+        }
+        this.autoRotatePaused = true;
+        this.angularVelX = this.angularVelY = this.zoomVel = this.panVelX = this.panVelY = 0;
+    }
+
+    // Ease back to the default view and resume auto-rotation
+    resetCamera() {
+        this.stopTour();
+        this.setCameraTarget({ node: null, zoom: 1 });
+        this.angleZ = 0;
+        this.angularVelZ = 0;
+        this.zoomVel = this.panVelX = this.panVelY = 0;
+        this.autoRotatePaused = false;
+    }
+
+    getCamera() {
+        return { zoom: this.zoom, panX: this.panX, panY: this.panY, angleX: this.angleX, angleY: this.angleY, roll: this.angleZ };
+    }
+
+    handleKeyDown(e) {
+        const arrows = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+        const arrow = arrows[e.key];
+        let handled = true;
+
+        if (arrow && (!this.focusedNode || e.shiftKey)) {
+            // Same direction convention as dragging
+            this.interruptCamera();
+            this.angularVelY += -arrow[0] * this.keyboardRotateStep;
+            this.angularVelX += -arrow[1] * this.keyboardRotateStep;
+        } else if (arrow) {
+            const next = this.nodeInDirection(this.focusedNode, arrow[0], arrow[1]);
+            if (next) this.setFocusedNode(next);
+            else this.announce('No connected node in that direction.');
+        } else if ((e.key === ']' || e.key === '[') && this.focusedNode) {
+            // Cycle through the neighbors of the node cycling started from; Tab stays free to leave
+            const origin = this.cycleOrigin || this.focusedNode;
+            const ring = this.neighborsOf(origin);
+            if (ring.length) {
+                const back = e.key === '[';
+                const at = ring.indexOf(this.focusedNode);
+                const next = ring[at < 0 ? (back ? ring.length - 1 : 0) : (at + (back ? -1 : 1) + ring.length) % ring.length];
+                this.setFocusedNode(next);
+                this.cycleOrigin = origin;
+            } else {
+                this.announce('No connected nodes.');
+            }
+        } else if (e.key === 'Enter' || e.key === ' ') {
+            if (this.focusedNode) this.handleNodeClick(this.focusedNode, e.shiftKey);
+            else this.setFocusedNode(this.frontmostNode());
+        } else if (e.key === '+' || e.key === '=' || e.key === '-') {
+            this.zoomAnchorX = this.centerX;
+            this.zoomAnchorY = this.centerY;
+            this.interruptCamera();
+            this.zoomVel += (e.key === '-' ? -0.2 : 0.2) * (1 - this.inertiaDamping);
+        } else if (e.key === '0') {
+            this.resetCamera();
+        } else if (e.key === 'Escape' && this.focusedNode) {
+            this.setFocusedNode(null);
+            this.announce('Left node navigation. Arrow keys rotate.');
+        } else {
+            handled = false;
+        }
+
+        if (handled) e.preventDefault();
+    }
+
+    // Visible nodes connected to `node` by a current edge
+    neighborsOf(node) {
+        const index = this.nodeIndex.get(node.id);
+        const result = [];
+        this.edges.forEach((e) => {
+            if (e.targetPresence === 0) return;
+            const other = e.a === index ? e.b : (e.b === index ? e.a : -1);
+            const n = this.nodes[other];
+            if (n && n.targetPresence > 0 && n.targetVisibility > 0 && !result.includes(n)) result.push(n);
+        });
+        return result;
+    }
+
+    // Neighbor best aligned with a screen direction; falls back to any front-facing node
+    nodeInDirection(node, dx, dy) {
+        const origin = this.projected[this.nodeIndex.get(node.id)];
+        if (!origin) return null;
+        const pick = (candidates) => {
+            let best = null;
+            let bestScore = Infinity;
+            candidates.forEach((n) => {
+                const p = this.projected[this.nodeIndex.get(n.id)];
+                if (!p || n === node) return;
+                const vx = p.x - origin.x, vy = p.y - origin.y;
+                const dist = Math.hypot(vx, vy) || 1e-6;
+                const cos = (vx * dx + vy * dy) / dist;
+                if (cos < 0.4) return;
+                const score = dist / cos;
+                if (score < bestScore) {
+                    bestScore = score;
+                    best = n;
+                }
+            });
+            return best;
         };
+        return pick(this.neighborsOf(node)) || pick(this.nodes.filter((n, i) =>
+            n.targetPresence > 0 && n.targetVisibility > 0 && this.projected[i] && this.projected[i].z < 0));
+    }
+
+    // Visible node closest to the center of the view on the near side
+    frontmostNode() {
+        let best = null;
+        let bestDist = Infinity;
+        this.nodes.forEach((n, i) => {
+            const p = this.projected[i];
+            if (!p || p.z > 0 || n.targetPresence === 0 || n.targetVisibility === 0) return;
+            const d = Math.hypot(p.x - this.centerX, p.y - this.centerY);
+            if (d < bestDist) {
+                bestDist = d;
+                best = n;
+            }
+        });
+        return best;
+    }
+
+    nodeLabel(n) {
+        return String(n.data && n.data.label != null ? n.data.label : n.id);
+    }
+
+    setFocusedNode(node) {
+        const entering = !this.focusedNode;
+        this.focusedNode = node;
+        this.cycleOrigin = null; // arrow moves restart neighbor cycling from the new node
+        if (!node) return;
+        const neighbors = this.neighborsOf(node);
+        let text = this.nodeLabel(node);
+        if (node.group !== null) text += `, group ${node.group}`;
+        if (this.selectedNodes.has(node)) text += ', selected';
+        text += neighbors.length
+            ? `. ${neighbors.length} connected: ${neighbors.slice(0, 8).map((n) => this.nodeLabel(n)).join(', ')}`
+                + (neighbors.length > 8 ? `, and ${neighbors.length - 8} more.` : '.')
+            : '. No connections.';
+        if (entering) text += ' Arrows or [ and ] move between nodes, Escape leaves, Tab moves on.';
+        this.announce(text);
+    }
+
+    announce(text) {
+        if (this.liveRegion) this.liveRegion.textContent = text;
+    }
+
+    // Find the node under a point (component coordinates) using the last rendered projection
+    hitTest(x, y) {
+        let best = null;
+        let bestScore = Infinity;
+        for (let i = 0; i < this.projected.length; i++) {
+            const n = this.nodes[i];
+            const p = this.projected[i];
+            if (!n || !p || n.targetPresence === 0 || n.targetVisibility === 0) continue;
+            if (this.backHemisphere === 'cull' && this.depthFade(p.z) < 0.05) continue;
+            const dist = Math.hypot(p.x - x, p.y - y);
+            const reach = this.hitRadius + this.nodeSize * p.scale;
+            if (dist > reach) continue;
+            // Prefer nodes on the near side of the sphere
+            const score = dist + (p.z > 0 ? reach : 0);
+            if (score < bestScore) {
+                bestScore = score;
+                best = n;
+            }
+        }
+        return best;
+    }
+
+    // Public shape of a node in events and getters
+    nodeInfo(n) {
+        return { id: n.id, data: n.data };
+    }
+
+    setHoveredNode(node) {
+        if (node === this.hoveredNode) return;
+        this.hoveredNode = node;
+        this.style.cursor = node ? 'pointer' : '';
+        this.dispatchEvent(new CustomEvent('node-hover', {
+            detail: { node: node ? this.nodeInfo(node) : null },
+            bubbles: true
+        }));
+    }
+
+    // Click selects a single node; shift+click toggles it in a multi-selection
+    handleNodeClick(node, additive) {
+        if (!node && (additive || !this.selectedNodes.size)) return;
+        // Shells: clicking a parent also expands or collapses its children
+        if (node && !additive && this.layout === 'shells' && node.children && node.children.length) {
+            this.expandNode(node.id);
+        }
+        if (additive) {
+            if (this.selectedNodes.has(node)) this.selectedNodes.delete(node);
+            else this.selectedNodes.add(node);
+        } else {
+            this.selectedNodes = new Set(node ? [node] : []);
+        }
+        this.analysisDirty = true;
+        this.dispatchEvent(new CustomEvent('node-select', {
+            detail: { node: node ? this.nodeInfo(node) : null, selected: this.getSelectedNodes() },
+            bubbles: true
+        }));
+    }
+
+    getSelectedNodes() {
+        return Array.from(this.selectedNodes, (n) => this.nodeInfo(n));
+    }
 
-        this.addEventListener('pointerdown', this.onPointerDown);
-        this.addEventListener('pointermove', this.onPointerMove);
-        this.addEventListener('pointerup', this.onPointerUp);
-        this.addEventListener('pointerleave', this.onPointerLeave);
+    // Programmatic selection by node id (does not dispatch node-select)
+    selectNodes(ids, additive = false) {
+        if (!additive) this.selectedNodes = new Set();
+        ids.forEach((id) => {
+            const n = this.nodes[this.nodeIndex.get(id)];
+            if (n) this.selectedNodes.add(n);
+        });
+        this.analysisDirty = true;
     }
 
-    // Generate nodes on a sphere and initialize per-node drift
-    generateGraph() {
-        this.nodes = [];
-        this.edges = [];
+    clearSelection() {
+        this.selectedNodes = new Set();
+        this.analysisDirty = true;
+    }
 
-        const rect = this.getBoundingClientRect();
-        const radius = Math.min(rect.width, rect.height) * 0.4; // ensure entire object is visible
-        this.graphRadius = radius;
-        this.centerX = rect.width / 2;
-        this.centerY = rect.height / 2;
+    // Drop hover/selection references to nodes that no longer exist
+    pruneSelection() {
+        const alive = new Set(this.nodes);
+        this.selectedNodes.forEach((n) => {
+            if (!alive.has(n)) this.selectedNodes.delete(n);
+        });
+        this.analysisDirty = true;
+        if (this.hoveredNode && !alive.has(this.hoveredNode)) this.setHoveredNode(null);
+        if (this.focusedNode && !alive.has(this.focusedNode)) this.setFocusedNode(null);
+    }
 
-        // Fibonacci sphere for even distribution, store spherical angles and drift
-        const N = Math.max(8, Math.floor(this.nodeCount));
-        const goldenAngle = Math.PI * (3 - Math.sqrt(5));
-        for (let i = 0; i < N; i++) {
-            const t = (i + 0.5) / N;
-            const cosPhi = 1 - 2 * t; // from 1 to -1
-            const phi = Math.acos(cosPhi); // [0, PI]
-            const theta = i * goldenAngle; // [0, inf)
-
-            // small random drift per node
-            const driftTheta = (Math.random() - 0.5) * 0.006;
-            const driftPhi = (Math.random() - 0.5) * 0.004;
-
-            // cartesian position now; also store angles
-            const sinPhi = Math.sin(phi);
-            const x = Math.cos(theta) * sinPhi * radius;
-            const y = cosPhi * radius;
-            const z = Math.sin(theta) * sinPhi * radius;
-
-            this.nodes.push({
-                x, y, z,
-                phi, theta,
-                driftTheta, driftPhi,
-                radius
-            });
-        }
+    // Adjacency over the current (non-exiting, visible) edges: per node index, [{ to, edge }]
+    buildAdjacency(directed) {
+        const usable = (n) => n && n.targetPresence > 0 && n.targetVisibility > 0;
+        const adjacency = this.nodes.map(() => []);
+        this.edges.forEach((e) => {
+            if (e.targetPresence === 0 || !usable(this.nodes[e.a]) || !usable(this.nodes[e.b])) return;
+            adjacency[e.a].push({ to: e.b, edge: e });
+            if (!directed || e.directed === false) adjacency[e.b].push({ to: e.a, edge: e });
+        });
+        return adjacency;
     }
 
-    // Randomly rewire a fraction of edges to create subtle changes over time
-    rewireEdges() {
-        if (!this.autoRewire) return;
-        const now = Date.now();
-        if (now - this.lastRewireTime < this.rewireIntervalMs) return;
-        this.lastRewireTime = now;
+    // Shortest path between node indices: BFS over hops, or Dijkstra when a cost is given (see pathCost)
+    shortestPath(from, to, pathCost = this.pathCost) {
+        const directed = this.pathFollowsDirection;
+        const adjacency = this.buildAdjacency(directed);
+        const weighted = pathCost != null;
+        const cost = (e) => {
+            const data = e.data || {};
+            const value = typeof pathCost === 'function' ? pathCost(data, e) : data[pathCost];
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            return typeof number === 'number' && isFinite(number) && number >= 0 ? number : 1;
+        };
+        const dist = new Float64Array(this.nodes.length).fill(Infinity);
+        const via = new Array(this.nodes.length).fill(null); // { from, edge }
+        dist[from] = 0;
 
-        const numToRewire = Math.max(1, Math.floor(this.edges.length * this.rewireAmount));
-        for (let r = 0; r < numToRewire; r++) {
-            const idx = Math.floor(Math.random() * this.edges.length);
-            const a = Math.floor(Math.random() * this.nodes.length);
-            let b = Math.floor(Math.random() * this.nodes.length);
-            if (b === a) b = (b + 1) % this.nodes.length;
-            this.edges[idx] = { a, b };
+        if (!weighted) {
+            const queue = [from];
+            for (let head = 0; head < queue.length && dist[to] === Infinity; head++) {
+                const u = queue[head];
+                adjacency[u].forEach(({ to: v, edge }) => {
+                    if (dist[v] !== Infinity) return;
+                    dist[v] = dist[u] + 1;
+                    via[v] = { from: u, edge };
+                    queue.push(v);
+                });
+            }
+        } else {
+            // Binary heap of [distance, node]
+            const heap = [[0, from]];
+            const push = (item) => {
+                heap.push(item);
+                for (let i = heap.length - 1; i > 0;) {
+                    const parent = (i - 1) >> 1;
+                    if (heap[parent][0] <= heap[i][0]) break;
+                    [heap[parent], heap[i]] = [heap[i], heap[parent]];
+                    i = parent;
+                }
+            };
+            const pop = () => {
+                const top = heap[0];
+                const last = heap.pop();
+                if (heap.length) {
+                    heap[0] = last;
+                    for (let i = 0; ;) {
+                        const l = 2 * i + 1, r = l + 1;
+                        let m = i;
+                        if (l < heap.length && heap[l][0] < heap[m][0]) m = l;
+                        if (r < heap.length && heap[r][0] < heap[m][0]) m = r;
+                        if (m === i) break;
+                        [heap[m], heap[i]] = [heap[i], heap[m]];
+                        i = m;
+                    }
+                }
+                return top;
+            };
+            while (heap.length) {
+                const [d, u] = pop();
+                if (d > dist[u]) continue;
+                if (u === to) break;
+                adjacency[u].forEach(({ to: v, edge }) => {
+                    const next = d + cost(edge);
+                    if (next >= dist[v]) return;
+                    dist[v] = next;
+                    via[v] = { from: u, edge };
+                    push([next, v]);
+                });
+            }
         }
-    }
 
-    // Project a 3D point with perspective
-    project(point, ax, ay) {
-        // rotate around X then Y
-        const cosX = Math.cos(ax), sinX = Math.sin(ax);
-        const cosY = Math.cos(ay), sinY = Math.sin(ay);
+        if (dist[to] === Infinity) return null;
+        const nodes = [to];
+        const edges = [];
+        for (let v = to; v !== from; v = via[v].from) {
+            edges.unshift(via[v].edge);
+            nodes.unshift(via[v].from);
+        }
+        return { nodes, edges, cost: dist[to] };
+    }
 
-        let y = point.y * cosX - point.z * sinX;
-        let z = point.y * sinX + point.z * cosX;
-        let x = point.x * cosY + z * sinY;
-        z = -point.x * sinY + z * cosY;
+    // Node indices within k hops (BFS), mapped to their hop count, plus the edges between them
+    neighborhood(index, k) {
+        const adjacency = this.buildAdjacency(false);
+        const hops = new Map([[index, 0]]);
+        const edges = new Set();
+        let frontier = [index];
+        for (let depth = 1; depth <= k && frontier.length; depth++) {
+            const next = [];
+            frontier.forEach((u) => adjacency[u].forEach(({ to, edge }) => {
+                edges.add(edge);
+                if (hops.has(to)) return;
+                hops.set(to, depth);
+                next.push(to);
+            }));
+            frontier = next;
+        }
+        return { hops, edges };
+    }
 
-        // perspective
-        const f = this.depth / (this.depth + z);
+    /**
+     * Shortest path between two node ids over the current edges. Hops count unless a
+     * cost is given: `options.cost`, else pathCost (an edge data field or a function).
+     * Returns { nodes: [ids], edges: [{ source, target }], cost } or null.
+     */
+    findPath(a, b, options = {}) {
+        const from = this.nodeIndex.get(a);
+        const to = this.nodeIndex.get(b);
+        if (from === undefined || to === undefined) return null;
+        const path = this.shortestPath(from, to, options.cost !== undefined ? options.cost : this.pathCost);
+        if (!path) return null;
         return {
-            x: this.centerX + x * f,
-            y: this.centerY + y * f,
-            scale: f,
-            z
+            nodes: path.nodes.map((i) => this.nodes[i].id),
+            edges: path.edges.map((e) => ({ source: this.nodes[e.a].id, target: this.nodes[e.b].id })),
+            cost: path.cost
         };
     }
 
-    // Inverse rotation (camera-space to object-space)
-    inverseRotate(x, y, z, ax, ay) {
-        const cosY = Math.cos(-ay), sinY = Math.sin(-ay);
-        let xi = x * cosY + z * sinY;
-        let zi = -x * sinY + z * cosY;
-        const cosX = Math.cos(-ax), sinX = Math.sin(-ax);
-        const yi = y * cosX - zi * sinX;
-        const zi2 = y * sinX + zi * cosX;
-        return { x: xi, y: yi, z: zi2 };
+    // Nodes within k hops of a node id, nearest first: [{ id, data, hops }]
+    getNeighborhood(node, k = this.neighborhoodHops) {
+        const index = this.nodeIndex.get(node);
+        if (index === undefined) return [];
+        const { hops } = this.neighborhood(index, Math.max(0, Math.floor(k)));
+        return Array.from(hops, ([i, h]) => ({ ...this.nodeInfo(this.nodes[i]), hops: h }))
+            .sort((x, y) => x.hops - y.hops);
     }
 
-    // Map mouse position to object-space point on the sphere surface (near side)
-    mouseToSphereObjectSpace() {
-        const dx = (this.mouseX - this.centerX) / this.graphRadius;
-        const dy = (this.mouseY - this.centerY) / this.graphRadius;
-        if (!isFinite(dx) || !isFinite(dy)) return null;
-        let ux = dx, uy = dy;
-        const r2 = ux * ux + uy * uy;
-        if (r2 > 1) {
-            const invR = 1 / Math.sqrt(r2);
-            ux *= invR; uy *= invR;
-        }
-        // Near hemisphere in camera space corresponds to negative Z in this projection
-        const uz = -Math.sqrt(Math.max(0, 1 - (ux * ux + uy * uy)));
-        // Convert to object space via inverse rotation using current angles
-        const v = this.inverseRotate(ux, uy, uz, this.angleX, this.angleY);
-        return { x: v.x * this.graphRadius, y: v.y * this.graphRadius, z: v.z * this.graphRadius };
+    /**
+     * Summary statistics of the visible graph over its current edges (treated as undirected):
+     * degree distribution, connected components, average clustering coefficient, a diameter
+     * estimate (double-sweep BFS lower bound on the largest component) and the most central
+     * nodes by degree. Cached until nodes or edges change.
+     */
+    getGraphStats() {
+        if (this.graphStats) return this.graphStats;
+        const adjacency = this.buildAdjacency(false);
+        const members = [];
+        this.nodes.forEach((n, i) => {
+            if (n.targetPresence > 0 && n.targetVisibility > 0) members.push(i);
+        });
+        const neighbors = adjacency.map((list) => new Set(list.map((link) => link.to)));
+        const N = members.length;
+        let edgeCount = 0;
+        members.forEach((i) => { edgeCount += neighbors[i].size; });
+        edgeCount /= 2;
+
+        // Degree distribution: histogram[d] = number of nodes with degree d
+        const histogram = [];
+        let degreeSum = 0;
+        members.forEach((i) => {
+            const d = neighbors[i].size;
+            histogram[d] = (histogram[d] || 0) + 1;
+            degreeSum += d;
+        });
+        for (let d = 0; d < histogram.length; d++) histogram[d] = histogram[d] || 0;
+
+        // Connected components (BFS), remembering one member of the largest
+        const component = new Int32Array(this.nodes.length).fill(-1);
+        const sizes = [];
+        let largest = -1;
+        members.forEach((start) => {
+            if (component[start] >= 0) return;
+            const id = sizes.length;
+            const queue = [start];
+            component[start] = id;
+            for (let head = 0; head < queue.length; head++) {
+                neighbors[queue[head]].forEach((v) => {
+                    if (component[v] < 0) {
+                        component[v] = id;
+                        queue.push(v);
+                    }
+                });
+            }
+            sizes.push(queue.length);
+            if (largest < 0 || queue.length > sizes[component[largest]]) largest = start;
+        });
+
+        // Local clustering: closed neighbor pairs / possible pairs, averaged over all nodes
+        let clusteringSum = 0;
+        members.forEach((i) => {
+            const list = Array.from(neighbors[i]);
+            const k = list.length;
+            if (k < 2) return;
+            let links = 0;
+            for (let a = 0; a < k; a++) {
+                for (let b = a + 1; b < k; b++) {
+                    if (neighbors[list[a]].has(list[b])) links++;
+                }
+            }
+            clusteringSum += (2 * links) / (k * (k - 1));
+        });
+
+        // Diameter: repeated BFS sweeps from the farthest node found so far
+        const bfsFarthest = (start) => {
+            const dist = new Map([[start, 0]]);
+            const queue = [start];
+            let far = start;
+            for (let head = 0; head < queue.length; head++) {
+                const u = queue[head];
+                if (dist.get(u) > dist.get(far)) far = u;
+                neighbors[u].forEach((v) => {
+                    if (!dist.has(v)) {
+                        dist.set(v, dist.get(u) + 1);
+                        queue.push(v);
+                    }
+                });
+            }
+            return { far, distance: dist.get(far) };
+        };
+        let diameter = 0;
+        if (largest >= 0) {
+            let from = largest;
+            for (let sweep = 0; sweep < 4; sweep++) {
+                const { far, distance } = bfsFarthest(from);
+                if (distance <= diameter) break;
+                diameter = distance;
+                from = far;
+            }
+        }
+
+        const central = members
+            .map((i) => ({ i, degree: neighbors[i].size }))
+            .sort((a, b) => b.degree - a.degree)
+            .slice(0, 5)
+            .map(({ i, degree }) => ({
+                ...this.nodeInfo(this.nodes[i]),
+                degree,
+                centrality: N > 1 ? degree / (N - 1) : 0
+            }));
+
+        sizes.sort((a, b) => b - a);
+        this.graphStats = {
+            nodes: N,
+            edges: edgeCount,
+            density: N > 1 ? (2 * edgeCount) / (N * (N - 1)) : 0,
+            degree: {
+                min: N ? histogram.findIndex((c) => c > 0) : 0,
+                max: Math.max(0, histogram.length - 1),
+                mean: N ? degreeSum / N : 0,
+                histogram
+            },
+            components: { count: sizes.length, largest: sizes[0] || 0, sizes },
+            clustering: N ? clusteringSum / N : 0,
+            diameter,
+            central
+        };
+        return this.graphStats;
+    }
+
+    // Live stats overlay in the shadow DOM (stats attribute); refreshed at most every statsIntervalMs
+    updateStatsPanel() {
+        if (!this.showStats) {
+            if (this.statsEl) this.statsEl.remove();
+            this.statsEl = null;
+            return;
+        }
+        if (!this.statsEl) {
+            this.statsEl = document.createElement('div');
+            this.statsEl.className = 'stats';
+            this.statsEl.setAttribute('role', 'group');
+            this.statsEl.setAttribute('aria-label', 'Graph statistics');
+            this.shadowRoot.appendChild(this.statsEl);
+        }
+        const stats = this.getGraphStats();
+        this.lastStatsUpdate = Date.now();
+        this.statsShown = stats;
+
+        const list = document.createElement('dl');
+        const row = (label, value) => {
+            const dt = document.createElement('dt');
+            const dd = document.createElement('dd');
+            dt.textContent = label;
+            dd.textContent = value;
+            list.append(dt, dd);
+        };
+        row('Nodes', stats.nodes);
+        row('Edges', stats.edges);
+        row('Density', stats.density.toFixed(3));
+        row('Degree', `${stats.degree.mean.toFixed(2)} (${stats.degree.min}\u2013${stats.degree.max})`);
+        row('Components', `${stats.components.count} (largest ${stats.components.largest})`);
+        row('Clustering', stats.clustering.toFixed(3));
+        row('Diameter', `\u2265 ${stats.diameter}`);
+
+        const histogram = document.createElement('div');
+        histogram.className = 'histogram';
+        histogram.title = 'Degree distribution';
+        const peak = Math.max(1, ...stats.degree.histogram);
+        stats.degree.histogram.slice(0, 40).forEach((count, degree) => {
+            const bar = document.createElement('span');
+            bar.style.height = `${(count / peak) * 100}%`;
+            bar.title = `degree ${degree}: ${count}`;
+            histogram.appendChild(bar);
+        });
+
+        const top = document.createElement('ol');
+        stats.central.forEach((c) => {
+            const item = document.createElement('li');
+            item.textContent = `${this.nodeLabel(this.nodes[this.nodeIndex.get(c.id)])} (${c.degree})`;
+            top.appendChild(item);
+        });
+        this.statsEl.replaceChildren(list, histogram, top);
+    }
+
+    // Recompute the path/neighborhood highlight after selection or edge changes
+    updateAnalysis() {
+        if (!this.analysisDirty) return;
+        this.analysisDirty = false;
+        const selected = Array.from(this.selectedNodes);
+        const index = (n) => this.nodeIndex.get(n.id);
+        let analysis = null;
+        if (selected.length === 2 && this.highlightPaths) {
+            const path = this.shortestPath(index(selected[0]), index(selected[1]));
+            analysis = {
+                kind: 'path',
+                nodes: new Set(path ? path.nodes.map((i) => this.nodes[i]) : selected),
+                edges: new Set(path ? path.edges : [])
+            };
+        } else if (selected.length === 1 && this.neighborhoodHops > 0) {
+            const { hops, edges } = this.neighborhood(index(selected[0]), Math.floor(this.neighborhoodHops));
+            analysis = { kind: 'neighborhood', nodes: new Set(Array.from(hops.keys(), (i) => this.nodes[i])), edges };
+        }
+        this.analysis = analysis;
     }
 
     // Render loop
@@ -305,12 +4433,14 @@ class DataMeshGraph extends HTMLElement {
         // clear
         ctx.clearRect(0, 0, rect.width, rect.height);
 
-        // white background only
-        ctx.fillStyle = this.backgroundColor;
-        ctx.fillRect(0, 0, rect.width, rect.height);
+        // white background only (WebGL clears its own layer underneath)
+        if (!this.webgl) {
+            ctx.fillStyle = this.backgroundColor;
+            ctx.fillRect(0, 0, rect.width, rect.height);
+        }
 
-        // Advance rotation + inertia unless reduced motion is set
-        if (!this.prefersReducedMotion) {
+        // Advance rotation + inertia unless reduced motion is set (or a focused region is held)
+        if (!this.prefersReducedMotion && !this.autoRotatePaused) {
             // base auto-rotation applied directly to angles
             this.angleX += this.rotationSpeedX;
             this.angleY += this.rotationSpeedY;
@@ -320,33 +4450,67 @@ class DataMeshGraph extends HTMLElement {
         this.angleX += this.angularVelX;
         this.angleY += this.angularVelY;
         // Damping to create inertia decay
-        this.angularVelX *= 0.96;
-        this.angularVelY *= 0.96;
+        this.angularVelX *= this.inertiaDamping;
+        this.angularVelY *= this.inertiaDamping;
+        this.updateCamera();
 
-        // Update per-node drift on the sphere
+        // Update per-node drift on the surface, or step the force simulation
         const now = Date.now();
         const dt = Math.min(0.05, (now - this.lastUpdateTime) / 1000); // clamp for tab switches
         this.lastUpdateTime = now;
-        if (!this.prefersReducedMotion) {
+        if (this.layout === 'force') {
+            // Reduced motion settles the layout at once instead of animating it
+            const ticks = this.prefersReducedMotion ? 300 : 1;
+            for (let t = 0; t < ticks && this.forceAlpha >= this.forceAlphaMin; t++) this.tickForceLayout();
+        } else if (!this.prefersReducedMotion && this.layout === 'shells') {
+            // Shells spin independently instead of drifting, so children stay by their parents
+            for (let level = 0; level < this.shellCount; level++) {
+                const speed = this.shellSpinSpeeds && this.shellSpinSpeeds[level] != null
+                    ? this.shellSpinSpeeds[level]
+                    : this.shellSpinSpeed * (level % 2 ? -1 : 1);
+                this.shellAngles[level] = (this.shellAngles[level] || 0) + speed;
+            }
+            for (let i = 0; i < this.nodes.length; i++) this.positionNode(this.nodes[i]);
+        } else if (!this.prefersReducedMotion) {
             for (let i = 0; i < this.nodes.length; i++) {
                 const n = this.nodes[i];
-                n.theta += n.driftTheta * this.driftSpeedBase * (1 + i % 3);
-                n.phi += n.driftPhi * this.driftSpeedBase * (1 + (i % 5) * 0.1);
+                // Grouped nodes drift at their group's pace so clusters stay together
+                const grouped = n.group !== null;
+                n.theta += n.driftTheta * this.driftSpeedBase * (grouped ? 1 : 1 + i % 3);
+                n.phi += n.driftPhi * this.driftSpeedBase * (grouped ? 1 : 1 + (i % 5) * 0.1);
                 // keep phi within [0, PI] using reflection
                 if (n.phi < 0) { n.phi = -n.phi; n.driftPhi *= -1; }
                 if (n.phi > Math.PI) { n.phi = Math.PI - (n.phi - Math.PI); n.driftPhi *= -1; }
-                const sinPhi = Math.sin(n.phi);
-                n.x = Math.cos(n.theta) * sinPhi * n.radius;
-                n.y = Math.cos(n.phi) * n.radius;
-                n.z = Math.sin(n.theta) * sinPhi * n.radius;
+                this.positionNode(n);
             }
         }
 
-        // Project all nodes once
+        // Apply live updates, then fade graph data nodes and edges in/out
+        this.advanceTimeline();
+        this.evolveGraph();
+        this.flushStreamQueue();
+        this.updateTransitions(dt);
+
+        // Project all nodes once (blending from the previous layout after a switch)
+        const morph = this.layoutMorphProgress();
         const projected = new Array(this.nodes.length);
+        let sceneRadius2 = 0;
         for (let i = 0; i < this.nodes.length; i++) {
-            projected[i] = this.project(this.nodes[i], this.angleX, this.angleY);
+            const n = this.nodes[i];
+            sceneRadius2 = Math.max(sceneRadius2, n.x * n.x + n.y * n.y + n.z * n.z);
+            const from = n.morphFrom;
+            if (from && morph < 1) {
+                const blended = { x: from.x + (n.x - from.x) * morph, y: from.y + (n.y - from.y) * morph, z: from.z + (n.z - from.z) * morph };
+                projected[i] = this.project(blended, this.angleX, this.angleY);
+            } else {
+                if (from) n.morphFrom = null;
+                projected[i] = this.project(n, this.angleX, this.angleY);
+            }
         }
+        this.projected = projected;
+        this.sceneRadius = Math.sqrt(sceneRadius2);
+        // Arcs follow the sphere surface, so they only apply once the sphere layout has settled
+        this.arcEdges = this.edgeMode === 'arc' && this.layout === 'sphere' && morph >= 1;
 
         // Update neighbor edges based on current spherical positions
         this.computeEdgesIfDue();
@@ -359,43 +4523,420 @@ class DataMeshGraph extends HTMLElement {
             if (user) {
                 projectedUser = this.project(user, this.angleX, this.angleY);
                 const k = Math.max(1, Math.floor(this.connectionsPerNode));
-                const maxAngle = this.maxNeighborAngle;
                 const invR = 1 / this.graphRadius;
-                const ux = user.x * invR, uy = user.y * invR, uz = user.z * invR;
-                const candidates = [];
-                for (let i = 0; i < this.nodes.length; i++) {
-                    const n = this.nodes[i];
-                    const nr = 1 / n.radius;
-                    const nx = n.x * nr, ny = n.y * nr, nz = n.z * nr;
-                    const dot = ux * nx + uy * ny + uz * nz;
-                    const angle = Math.acos(Math.max(-1, Math.min(1, dot)));
-                    if (angle <= maxAngle) candidates.push({ i, angle });
+                const outIndex = new Int32Array(k);
+                const outDist = new Float64Array(k);
+                this.ensureSphereGrid();
+                const found = this.sphereGrid.nearest(
+                    user.x * invR, user.y * invR, user.z * invR,
+                    k, 2 - 2 * Math.cos(this.maxNeighborAngle), -1, outIndex, outDist
+                );
+                for (let n = 0; n < found; n++) userEdges.push({ b: outIndex[n], user });
+            }
+        }
+
+        this.updateAnalysis();
+        if (this.showStats && (!this.graphStats || this.statsShown !== this.graphStats)
+            && Date.now() - this.lastStatsUpdate >= this.statsIntervalMs) {
+            this.updateStatsPanel();
+        }
+        const focus = this.hoveredNode || this.selectedNodes.size ? new Set(this.selectedNodes) : null;
+        if (focus && this.hoveredNode) focus.add(this.hoveredNode);
+
+        if (this.layout === 'shells' && this.shellGuides && this.shellCount > 1) this.drawShellGuides();
+        if (this.webgl) {
+            this.drawWebGL(projected, focus, projectedUser, userEdges);
+        } else {
+            this.drawCanvas(projected, focus, projectedUser, userEdges);
+        }
+
+        // Rings around hovered and selected nodes
+        if (focus) {
+            ctx.strokeStyle = this.highlightColor;
+            ctx.lineWidth = 1.5;
+            focus.forEach((n) => {
+                const p = projected[this.nodeIndex.get(n.id)];
+                if (!p || n.presence <= 0 || n.visibility <= 0 || this.depthFade(p.z) < 0.05) return;
+                const size = Math.max(0.5, this.nodeSize * p.scale) * n.presence;
+                ctx.globalAlpha = n === this.hoveredNode && !this.selectedNodes.has(n) ? 0.6 : 1;
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, size + 4, 0, Math.PI * 2);
+                ctx.stroke();
+            });
+        }
+
+        // Keyboard focus ring (dashed, outside the selection ring)
+        const focused = this.hasKeyboardFocus && this.focusedNode;
+        const fp = focused && projected[this.nodeIndex.get(focused.id)];
+        if (fp) {
+            const size = Math.max(0.5, this.nodeSize * fp.scale) * focused.presence;
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = this.highlightColor;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([3, 3]);
+            ctx.beginPath();
+            ctx.arc(fp.x, fp.y, size + 8, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        this.drawLabels(projected, dt);
+
+        ctx.globalAlpha = 1;
+    }
+
+    // Always show a label for a node id, whatever the label mode and density
+    pinLabel(id, pinned = true) {
+        if (pinned) this.pinnedLabels.add(id);
+        else this.pinnedLabels.delete(id);
+    }
+
+    // Nodes whose label shows regardless of density (per labelAlways)
+    alwaysLabeledNodes() {
+        const always = new Set();
+        const modes = this.labelAlways || [];
+        if (modes.includes('selected')) this.selectedNodes.forEach((n) => always.add(n));
+        if (modes.includes('hovered') && this.hoveredNode) always.add(this.hoveredNode);
+        if (modes.includes('matches') && this.nodeQuery) {
+            this.nodes.forEach((n) => { if (n.queryScore > 0) always.add(n); });
+        }
+        if (modes.includes('pinned')) {
+            this.pinnedLabels.forEach((id) => {
+                const n = this.nodes[this.nodeIndex.get(id)];
+                if (n) always.add(n);
+            });
+        }
+        if (modes.includes('top-degree') && this.labelTopDegree > 0) {
+            const degree = new Array(this.nodes.length).fill(0);
+            this.edges.forEach((e) => {
+                if (e.targetPresence === 0) return;
+                degree[e.a]++;
+                degree[e.b]++;
+            });
+            degree.map((d, i) => [d, i])
+                .sort((x, y) => y[0] - x[0])
+                .slice(0, this.labelTopDegree)
+                .forEach(([d, i]) => { if (d > 0) always.add(this.nodes[i]); });
+        }
+        return always;
+    }
+
+    /**
+     * Labels next to front-facing nodes. Always-shown labels are placed first, then the
+     * nodes nearest the camera; each tries a few slots around its node and is skipped
+     * when every slot overlaps an already placed label. Labels ease in and out rather
+     * than popping as the mesh rotates.
+     */
+    drawLabels(projected, dt) {
+        const ctx = this.ctx;
+        const always = this.labelMode === 'off' ? new Set() : this.alwaysLabeledNodes();
+        const step = this.prefersReducedMotion ? 1 : (dt * 1000) / Math.max(1, this.labelFadeMs);
+
+        // Front-facing, visible candidates: always-shown first, then shown-last-frame, then nearest
+        const candidates = [];
+        if (this.labelMode !== 'off') {
+            for (let i = 0; i < projected.length; i++) {
+                const n = this.nodes[i];
+                const p = projected[i];
+                if (!p || n.presence <= 0 || n.visibility <= 0 || p.z > 0 || this.depthFade(p.z) < 0.5) continue;
+                const pinned = always.has(n);
+                if (!pinned && this.labelMode !== 'auto') continue;
+                const R = this.sceneRadius || this.graphRadius || 1;
+                candidates.push({ n, p, score: (pinned ? -4 * R : 0) + (n.labelAlpha > 0 ? -0.25 * R : 0) + p.z });
+            }
+            candidates.sort((a, b) => a.score - b.score);
+        }
+
+        ctx.font = this.labelFont;
+        const height = parseFloat(/(\d+(\.\d+)?)px/.exec(this.labelFont)?.[1] || 11) + 2;
+        const cell = 48;
+        const grid = new Map(); // "cx,cy" -> placed rects, for overlap checks
+        const overlaps = (r) => {
+            for (let cx = Math.floor(r.x / cell); cx <= Math.floor((r.x + r.w) / cell); cx++) {
+                for (let cy = Math.floor(r.y / cell); cy <= Math.floor((r.y + r.h) / cell); cy++) {
+                    const list = grid.get(cx + ',' + cy);
+                    if (list && list.some((o) => r.x < o.x + o.w && o.x < r.x + r.w && r.y < o.y + o.h && o.y < r.y + r.h)) return true;
+                }
+            }
+            return false;
+        };
+        const place = (r) => {
+            for (let cx = Math.floor(r.x / cell); cx <= Math.floor((r.x + r.w) / cell); cx++) {
+                for (let cy = Math.floor(r.y / cell); cy <= Math.floor((r.y + r.h) / cell); cy++) {
+                    const key = cx + ',' + cy;
+                    if (!grid.has(key)) grid.set(key, []);
+                    grid.get(key).push(r);
+                }
+            }
+        };
+
+        const shown = new Set();
+        candidates.forEach(({ n, p }) => {
+            const pinned = always.has(n);
+            if (!pinned && shown.size >= this.labelMaxCount) return;
+            const text = this.nodeLabel(n);
+            let width = this.labelWidths.get(text);
+            if (width === undefined) {
+                width = ctx.measureText(text).width;
+                if (this.labelWidths.size > 5000) this.labelWidths.clear();
+                this.labelWidths.set(text, width);
+            }
+            const gap = Math.max(0.5, this.nodeSize * p.scale) + 3;
+            // right, left, above, below; the previous slot first to avoid jumping around
+            const slots = [
+                { x: p.x + gap, y: p.y - height / 2 },
+                { x: p.x - gap - width, y: p.y - height / 2 },
+                { x: p.x - width / 2, y: p.y - gap - height },
+                { x: p.x - width / 2, y: p.y + gap }
+            ];
+            const order = n.labelSlot ? [n.labelSlot, ...[0, 1, 2, 3].filter((k) => k !== n.labelSlot)] : [0, 1, 2, 3];
+            for (const k of order) {
+                const r = { x: slots[k].x, y: slots[k].y, w: width, h: height };
+                if (overlaps(r) && !pinned) continue;
+                place(r);
+                n.labelSlot = k;
+                shown.add(n);
+                break;
+            }
+        });
+
+        // Ease every label towards shown/hidden; fading-out labels stay in their last slot
+        ctx.textBaseline = 'top';
+        ctx.lineJoin = 'round';
+        for (let i = 0; i < projected.length; i++) {
+            const n = this.nodes[i];
+            const p = projected[i];
+            const target = shown.has(n) ? 1 : 0;
+            const alpha = n.labelAlpha || 0;
+            if (alpha === target && target === 0) continue;
+            n.labelAlpha = alpha < target ? Math.min(target, alpha + step) : Math.max(target, alpha - step);
+            if (n.labelAlpha <= 0 || !p) continue;
+            const text = this.nodeLabel(n);
+            const width = this.labelWidths.get(text) || 0;
+            const gap = Math.max(0.5, this.nodeSize * p.scale) + 3;
+            const slot = n.labelSlot || 0;
+            const x = slot === 0 ? p.x + gap : slot === 1 ? p.x - gap - width : p.x - width / 2;
+            const y = slot === 2 ? p.y - gap - height : slot === 3 ? p.y + gap : p.y - height / 2;
+            ctx.globalAlpha = n.labelAlpha * n.presence * n.visibility;
+            // halo in the background color keeps text legible over edges
+            ctx.strokeStyle = this.backgroundColor;
+            ctx.lineWidth = 3;
+            ctx.strokeText(text, x, y + 1);
+            ctx.fillStyle = this.labelColor;
+            ctx.fillText(text, x, y + 1);
+        }
+    }
+
+    // Opacity multiplier for a camera-space depth: fog plus back-hemisphere fading (1 = unchanged)
+    depthFade(z) {
+        const R = Math.max(1, this.sceneRadius || this.graphRadius || 1);
+        let fade = 1;
+        if (this.depthFog > 0) {
+            fade *= 1 - Math.min(1, this.depthFog) * Math.min(1, Math.max(0, (z + R) / (2 * R)));
+        }
+        if (this.backHemisphere === 'fade' || this.backHemisphere === 'cull') {
+            // smoothstep across a thin band at the silhouette rather than a hard cut
+            const t = Math.min(1, Math.max(0, (z / R + 0.1) / 0.2));
+            const back = t * t * (3 - 2 * t);
+            fade *= 1 - back * (this.backHemisphere === 'cull' ? 1 : 1 - this.backHemisphereAlpha);
+        }
+        return fade;
+    }
+
+    // Object-space point at t along an edge's great circle (radius interpolated between the ends)
+    arcPoint(na, nb, t) {
+        const ra = Math.hypot(na.x, na.y, na.z) || 1;
+        const rb = Math.hypot(nb.x, nb.y, nb.z) || 1;
+        const cos = Math.min(1, Math.max(-1, (na.x * nb.x + na.y * nb.y + na.z * nb.z) / (ra * rb)));
+        const angle = Math.acos(cos);
+        const sin = Math.sin(angle);
+        const r = ra + (rb - ra) * t;
+        if (sin < 1e-6) {
+            // (nearly) identical or antipodal ends have no unique great circle; use the chord
+            return { x: na.x + (nb.x - na.x) * t, y: na.y + (nb.y - na.y) * t, z: na.z + (nb.z - na.z) * t };
+        }
+        const wa = Math.sin((1 - t) * angle) / sin / ra * r;
+        const wb = Math.sin(t * angle) / sin / rb * r;
+        return { x: na.x * wa + nb.x * wb, y: na.y * wa + nb.y * wb, z: na.z * wa + nb.z * wb };
+    }
+
+    // Projected polyline for an edge: the chord, or a great-circle arc in 'arc' mode
+    edgePoints(e, pa, pb) {
+        if (!this.arcEdges) return [pa, pb];
+        const na = this.nodes[e.a], nb = this.nodes[e.b];
+        const cos = (na.x * nb.x + na.y * nb.y + na.z * nb.z)
+            / ((Math.hypot(na.x, na.y, na.z) * Math.hypot(nb.x, nb.y, nb.z)) || 1);
+        // about one segment per 0.08 rad keeps arcs smooth without overdrawing short edges
+        const segments = Math.min(this.arcSegments, Math.ceil(Math.acos(Math.min(1, Math.max(-1, cos))) / 0.08));
+        if (segments < 2) return [pa, pb];
+        const points = [pa];
+        for (let s = 1; s < segments; s++) {
+            points.push(this.project(this.arcPoint(na, nb, s / segments), this.angleX, this.angleY));
+        }
+        points.push(pb);
+        return points;
+    }
+
+    // Projected point at t along an edge (matches edgePoints)
+    edgePointAt(e, pa, pb, t) {
+        if (this.arcEdges) return this.project(this.arcPoint(this.nodes[e.a], this.nodes[e.b], t), this.angleX, this.angleY);
+        return { x: pa.x + (pb.x - pa.x) * t, y: pa.y + (pb.y - pa.y) * t, z: pa.z + (pb.z - pa.z) * t };
+    }
+
+    // Walk an edge's segments with their depth-cued alpha: emit(x1, y1, x2, y2, alpha)
+    forEachEdgeSegment(e, pa, pb, alpha, emit) {
+        const points = this.edgePoints(e, pa, pb);
+        const cued = this.depthFog > 0 || this.backHemisphere !== 'show';
+        for (let i = 1; i < points.length; i++) {
+            const p0 = points[i - 1], p1 = points[i];
+            const a = cued ? alpha * this.depthFade((p0.z + p1.z) * 0.5) : alpha;
+            if (a > 0.002) emit(p0.x, p0.y, p1.x, p1.y, a);
+        }
+    }
+
+    // Edge stroke for the current frame; returns false when the edge is invisible
+    styleEdge(e, pa, pb, focus, out) {
+        const na = this.nodes[e.a], nb = this.nodes[e.b];
+        const presence = Math.min(e.presence, na.presence, nb.presence) * Math.min(na.visibility, nb.visibility);
+        if (presence <= 0) return false;
+        // With a path/neighborhood highlight, only its edges stand out and the rest dims
+        const analysis = this.analysis;
+        const lit = analysis && analysis.edges.has(e);
+        const highlighted = analysis ? lit : focus && (focus.has(na) || focus.has(nb));
+        let alpha = Math.min(0.9, Math.max(0.15, 0.6 * (pa.scale + pb.scale) * 0.5));
+        let color = this.linkColor;
+        if (na.group !== null || nb.group !== null) {
+            // Intra-group edges take the group color, cross-group edges stay neutral and lighter
+            if (na.group === nb.group) {
+                color = this.groupColor(na.group);
+            } else {
+                color = this.crossGroupLinkColor;
+                alpha *= this.crossGroupLinkAlpha;
+            }
+        }
+        let width = Math.max(0.5, this.linkWidth);
+        if (e.weight != null && this.edgeWeightMax > 0) {
+            // Heavier edges are thicker and more opaque
+            const w = e.weight / this.edgeWeightMax;
+            width *= 0.5 + 2 * w;
+            alpha *= 0.35 + 0.65 * w;
+        }
+        const pulse = e.pulse > 0 ? e.pulse : 0;
+        out.color = highlighted || pulse > 0.5 ? this.highlightColor : color;
+        // Edges touching a node dimmed by search/filter dim with it
+        const match = Math.min(na.match, nb.match);
+        out.alpha = (highlighted ? 0.95 : alpha + (1 - alpha) * pulse) * presence * (analysis && !lit ? this.dimAlpha : 1)
+            * (this.dimAlpha + (1 - this.dimAlpha) * match);
+        out.width = width * (1 + pulse) * (lit && analysis.kind === 'path' ? 1.5 : 1);
+        return true;
+    }
+
+    // Flow particles and pulse bursts, emitted as dots (x, y, radius, color, alpha)
+    drawFlow(projected, focus, emit) {
+        const style = this.drawStyle;
+        const throughputMax = this.edgeThroughputMax;
+        for (let i = 0; i < this.edges.length; i++) {
+            const e = this.edges[i];
+            const flowing = this.flowParticles && e.throughput > 0;
+            const bursting = e.bursts && e.bursts.length;
+            if (!flowing && !bursting) continue;
+            const pa = projected[e.a];
+            const pb = projected[e.b];
+            if (!this.styleEdge(e, pa, pb, focus, style)) continue;
+            const size = Math.max(0.8, this.linkWidth * this.flowParticleSize) * (pa.scale + pb.scale) * 0.5;
+            const alpha = Math.min(1, style.alpha + 0.3);
+            const at = (t) => {
+                const p = this.edgePointAt(e, pa, pb, t);
+                const a = alpha * this.depthFade(p.z);
+                if (a > 0.002) emit(p.x, p.y, size, style.color, a);
+            };
+
+            if (flowing) {
+                // Density grows with throughput; undirected edges alternate directions
+                const count = Math.max(1, Math.round(this.flowMaxParticles * e.throughput / throughputMax));
+                for (let k = 0; k < count; k++) {
+                    const t = (e.flowPhase + k / count) % 1;
+                    at(e.directed || k % 2 === 0 ? t : 1 - t);
                 }
-                candidates.sort((a, b) => a.angle - b.angle);
-                const limit = Math.min(k, candidates.length);
-                for (let n = 0; n < limit; n++) userEdges.push({ b: candidates[n].i, user });
             }
+            if (bursting) {
+                e.bursts.forEach((b) => {
+                    for (let k = 0; k < this.burstParticles; k++) {
+                        const t = b.t - k * 0.04;
+                        if (t < 0 || t > 1) continue;
+                        at(b.forward ? t : 1 - t);
+                    }
+                });
+            }
+        }
+    }
+
+    // Node fill for the current frame; returns false when the node is invisible
+    styleNode(n, p, focus, out) {
+        const presence = n.presence;
+        if (presence <= 0 || n.visibility <= 0) return false;
+        const color = n.group !== null ? this.groupColor(n.group) : this.nodeColor;
+        const analysis = this.analysis;
+        const inPath = analysis && analysis.kind === 'path' && analysis.nodes.has(n);
+        out.color = (focus && focus.has(n)) || inPath ? this.highlightColor : color;
+        out.alpha = Math.min(1, 0.7 + 0.4 * p.scale) * presence * n.visibility
+            * (analysis && !analysis.nodes.has(n) ? this.dimAlpha : 1) * this.depthFade(p.z)
+            * (this.dimAlpha + (1 - this.dimAlpha) * n.match);
+        if (out.alpha <= 0.002) return false;
+        out.size = Math.max(0.5, this.nodeSize * p.scale) * presence * (1 + (this.queryMatchScale - 1) * n.emphasis);
+        return true;
+    }
+
+    // Outline of each shell's silhouette (drawn under the graph on the canvas)
+    drawShellGuides() {
+        const ctx = this.ctx;
+        const center = this.project({ x: 0, y: 0, z: 0 }, this.angleX, this.angleY);
+        ctx.strokeStyle = this.shellGuideColor;
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = this.layoutMorphProgress(); // fade in with the switch to shells
+        for (let level = 0; level < this.shellCount; level++) {
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, this.graphRadius * this.shellScale(level) * center.scale, 0, Math.PI * 2);
+            ctx.stroke();
         }
+        ctx.globalAlpha = 1;
+    }
+
+    // Canvas2D backend: edges, user edges, nodes, then the user node
+    drawCanvas(projected, focus, projectedUser, userEdges) {
+        const ctx = this.ctx;
+        const style = this.drawStyle;
 
         // Draw neighbor links for all nodes (sorted by depth for simple painter's order)
-        const ctxLineWidth = Math.max(0.5, this.linkWidth);
-        ctx.lineWidth = ctxLineWidth;
-        ctx.strokeStyle = this.linkColor;
         this.edges
             .map((e) => ({ e, z: (projected[e.a].z + projected[e.b].z) * 0.5 }))
             .sort((a, b) => a.z - b.z)
             .forEach(({ e }) => {
                 const pa = projected[e.a];
                 const pb = projected[e.b];
-                const alpha = Math.max(0.15, 0.6 * (pa.scale + pb.scale) * 0.5);
-                ctx.globalAlpha = Math.min(0.9, alpha);
-                ctx.beginPath();
-                ctx.moveTo(pa.x, pa.y);
-                ctx.lineTo(pb.x, pb.y);
-                ctx.stroke();
+                if (!this.styleEdge(e, pa, pb, focus, style)) return;
+                ctx.strokeStyle = style.color;
+                ctx.lineWidth = style.width;
+                this.forEachEdgeSegment(e, pa, pb, style.alpha, (x1, y1, x2, y2, alpha) => {
+                    ctx.globalAlpha = alpha;
+                    ctx.beginPath();
+                    ctx.moveTo(x1, y1);
+                    ctx.lineTo(x2, y2);
+                    ctx.stroke();
+                });
             });
 
+        this.drawFlow(projected, focus, (x, y, size, color, alpha) => {
+            ctx.globalAlpha = alpha;
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(x, y, size, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
         // Draw user edges on top
+        ctx.strokeStyle = this.linkColor;
+        ctx.lineWidth = Math.max(0.5, this.linkWidth);
         if (projectedUser) {
             for (let i = 0; i < userEdges.length; i++) {
                 const pb = projected[userEdges[i].b];
@@ -412,17 +4953,16 @@ class DataMeshGraph extends HTMLElement {
         // Draw nodes last
         for (let i = 0; i < projected.length; i++) {
             const p = projected[i];
-            const size = Math.max(0.5, this.nodeSize * p.scale);
-            ctx.globalAlpha = Math.min(1, 0.7 + 0.4 * p.scale);
-            ctx.fillStyle = this.nodeColor;
+            if (!this.styleNode(this.nodes[i], p, focus, style)) continue;
+            ctx.globalAlpha = style.alpha;
+            ctx.fillStyle = style.color;
             ctx.beginPath();
-            ctx.arc(p.x, p.y, size, 0, Math.PI * 2);
+            ctx.arc(p.x, p.y, style.size, 0, Math.PI * 2);
             ctx.fill();
         }
 
-        ctx.globalAlpha = 1;
-
         // Draw user node last
+        ctx.globalAlpha = 1;
         if (projectedUser) {
             const p = projectedUser;
             const size = Math.max(0.6, this.nodeSize * 1.2 * p.scale);
@@ -433,51 +4973,157 @@ class DataMeshGraph extends HTMLElement {
         }
     }
 
+    // WebGL backend: same styles as drawCanvas in two instanced batches (no per-frame depth sort)
+    drawWebGL(projected, focus, projectedUser, userEdges) {
+        const gl = this.webgl;
+        const style = this.drawStyle;
+        gl.begin(this.backgroundColor);
+
+        for (let i = 0; i < this.edges.length; i++) {
+            const e = this.edges[i];
+            const pa = projected[e.a];
+            const pb = projected[e.b];
+            if (!this.styleEdge(e, pa, pb, focus, style)) continue;
+            this.forEachEdgeSegment(e, pa, pb, style.alpha, (x1, y1, x2, y2, alpha) => {
+                gl.addEdge(x1, y1, x2, y2, style.width, style.color, alpha);
+            });
+        }
+        this.drawFlow(projected, focus, (x, y, size, color, alpha) => gl.addNode(x, y, size, color, alpha));
+        if (projectedUser) {
+            const width = Math.max(0.5, this.linkWidth);
+            for (let i = 0; i < userEdges.length; i++) {
+                const pa = projectedUser;
+                const pb = projected[userEdges[i].b];
+                const alpha = Math.min(0.95, Math.max(0.25, 0.6 * (pa.scale + pb.scale) * 0.5));
+                gl.addEdge(pa.x, pa.y, pb.x, pb.y, width, this.linkColor, alpha);
+            }
+        }
+
+        for (let i = 0; i < projected.length; i++) {
+            const p = projected[i];
+            if (!this.styleNode(this.nodes[i], p, focus, style)) continue;
+            gl.addNode(p.x, p.y, style.size, style.color, style.alpha);
+        }
+        if (projectedUser) {
+            const p = projectedUser;
+            gl.addNode(p.x, p.y, Math.max(0.6, this.nodeSize * 1.2 * p.scale), this.nodeColor, 1);
+        }
+
+        gl.flush();
+    }
+
     // Update edges using 3D nearest neighbors filtered by maximum angular separation
     computeEdgesIfDue() {
+        if (this.graphData) return; // edges come from the graph data
         const now = Date.now();
         if (now - this.lastEdgeUpdateTime < this.edgeUpdateIntervalMs && this.edges.length) return;
+        if (this.workerJob) return; // previous worker result still pending
         this.lastEdgeUpdateTime = now;
 
         const N = this.nodes.length;
         const k = Math.max(1, Math.floor(this.connectionsPerNode));
         const maxAngle = this.maxNeighborAngle; // radians
-        const edgeSet = new Set();
-        const edges = [];
+        this.updateUnitVectors();
 
-        // Precompute normalized vectors
-        const vx = new Array(N), vy = new Array(N), vz = new Array(N);
+        if (this.useWorker && this.ensureWorker()) {
+            // Copies are transferred so the next frame can keep writing unit vectors
+            const vx = this.unitX.slice(0, N), vy = this.unitY.slice(0, N), vz = this.unitZ.slice(0, N);
+            this.workerJob = this.nodesVersion;
+            this.worker.postMessage(
+                { id: this.nodesVersion, vx, vy, vz, count: N, k, maxAngle, indexed: this.useSpatialIndex },
+                [vx.buffer, vy.buffer, vz.buffer]
+            );
+            return;
+        }
+
+        const started = performance.now();
+        let pairs;
+        if (this.useSpatialIndex) {
+            this.buildSphereGrid();
+            pairs = this.sphereGrid.knnEdges(k, maxAngle);
+        } else {
+            pairs = SphereGrid.bruteForceEdges(this.unitX, this.unitY, this.unitZ, N, k, maxAngle);
+        }
+        this.lastEdgeComputeMs = performance.now() - started;
+        this.setEdgePairs(pairs);
+    }
+
+    // Bucket the current unit vectors (call updateUnitVectors() first)
+    buildSphereGrid() {
+        this.sphereGrid.build(this.unitX, this.unitY, this.unitZ, this.nodes.length);
+        this.sphereGridStamp = { time: Date.now(), count: this.nodes.length, version: this.nodesVersion };
+    }
+
+    // Grid for one-off queries (the user node): reuses the last build while it is as
+    // fresh as the synthetic edges, so nodes are not re-bucketed every frame
+    ensureSphereGrid() {
+        const stamp = this.sphereGridStamp;
+        if (stamp && stamp.count === this.nodes.length && stamp.version === this.nodesVersion
+            && Date.now() - stamp.time < this.edgeUpdateIntervalMs) return;
+        this.updateUnitVectors();
+        this.buildSphereGrid();
+    }
+
+    // Refresh the normalized node positions used by neighbor search
+    updateUnitVectors() {
+        const N = this.nodes.length;
+        if (this.unitX.length < N) {
+            this.unitX = new Float32Array(N);
+            this.unitY = new Float32Array(N);
+            this.unitZ = new Float32Array(N);
+        }
         for (let i = 0; i < N; i++) {
             const n = this.nodes[i];
             const invR = 1 / n.radius;
-            vx[i] = n.x * invR; vy[i] = n.y * invR; vz[i] = n.z * invR;
+            this.unitX[i] = n.x * invR;
+            this.unitY[i] = n.y * invR;
+            this.unitZ[i] = n.z * invR;
         }
+    }
 
-        for (let i = 0; i < N; i++) {
-            const candidates = [];
-            for (let j = 0; j < N; j++) {
-                if (i === j) continue;
-                const dot = vx[i] * vx[j] + vy[i] * vy[j] + vz[i] * vz[j];
-                const clamped = Math.max(-1, Math.min(1, dot));
-                const angle = Math.acos(clamped); // 0..PI
-                if (angle <= maxAngle) {
-                    candidates.push({ j, angle });
-                }
-            }
-            candidates.sort((a, b) => a.angle - b.angle);
-            const limit = Math.min(k, candidates.length);
-            for (let n = 0; n < limit; n++) {
-                const j = candidates[n].j;
-                const a = i < j ? i : j;
-                const b = i < j ? j : i;
-                const key = a + '-' + b;
-                if (!edgeSet.has(key)) {
-                    edgeSet.add(key);
-                    edges.push({ a, b });
-                }
-            }
+    setEdgePairs(pairs) {
+        const edges = new Array(pairs.length / 2);
+        for (let p = 0; p < edges.length; p++) {
+            edges[p] = { a: pairs[2 * p], b: pairs[2 * p + 1], presence: 1, targetPresence: 1 };
         }
         this.edges = edges;
+        this.analysisDirty = true;
+        this.graphStats = null;
+        // The synthetic edge count changes with every recompute; keep the summary current
+        this.updateDescription();
+    }
+
+    // Lazily start the neighbor worker; returns false when workers are unavailable
+    ensureWorker() {
+        if (this.worker) return true;
+        if (this.workerFailed || typeof Worker === 'undefined') return false;
+        try {
+            const url = URL.createObjectURL(new Blob([NEIGHBOR_WORKER_SOURCE], { type: 'text/javascript' }));
+            this.worker = new Worker(url);
+            URL.revokeObjectURL(url);
+        } catch (err) {
+            // e.g. a CSP without blob: workers; stay on the main thread
+            this.workerFailed = true;
+            return false;
+        }
+        this.worker.onmessage = (e) => {
+            const { id, pairs, ms } = e.data;
+            this.workerJob = 0;
+            this.lastEdgeComputeMs = ms;
+            // Ignore results for a node set that has since been regenerated
+            if (id === this.nodesVersion && !this.graphData) this.setEdgePairs(pairs);
+        };
+        this.worker.onerror = () => {
+            this.workerFailed = true;
+            this.terminateWorker();
+        };
+        return true;
+    }
+
+    terminateWorker() {
+        if (this.worker) this.worker.terminate();
+        this.worker = null;
+        this.workerJob = 0;
     }
 
     // Animation
@@ -502,6 +5148,7 @@ class DataMeshGraph extends HTMLElement {
     // Public API to update properties
     setProperties(properties) {
         Object.assign(this, properties);
+        this.setupRenderer();
         // Recreate geometry if structural params changed
         this.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
         this.generateGraph();
@@ -519,6 +5166,14 @@ class DataMeshGraph extends HTMLElement {
     reset() {
         this.angleX = 0;
         this.angleY = 0;
+        this.angleZ = 0;
+        this.zoom = 1;
+        this.panX = 0;
+        this.panY = 0;
+        this.angularVelX = this.angularVelY = this.angularVelZ = 0;
+        this.zoomVel = this.panVelX = this.panVelY = 0;
+        this.interruptCamera();
+        this.autoRotatePaused = false;
         this.lastRewireTime = 0;
         this.generateGraph();
     }
@@ -526,12 +5181,26 @@ class DataMeshGraph extends HTMLElement {
     // Cleanup
     disconnectedCallback() {
         this.stopAnimation();
+        this.interruptCamera(); // no more frames: settle pending camera promises
+        this.disconnectStream();
+        this.terminateWorker();
+        this.disposeWebGL();
         this.observer?.disconnect();
         this.reducedMotionMediaQuery?.removeEventListener('change', this.handleReducedMotionChange);
         window.removeEventListener('resize', this.handleResize);
     }
 }
 
+DataMeshGraph.LAYOUTS = ['sphere', 'torus', 'cylinder', 'plane', 'cube', 'shells', 'force'];
+
+// Easing curves for camera animations, t in [0, 1]
+DataMeshGraph.EASINGS = {
+    linear: (t) => t,
+    easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+    easeInOutSine: (t) => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
 // Register element
 customElements.define('data-mesh-graph', DataMeshGraph);
 
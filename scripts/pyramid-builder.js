@@ -3,6 +3,10 @@
  * Creates an animated pyramid of dots that builds itself from bottom to top
  */
 class PyramidBuilder extends HTMLElement {
+    static get observedAttributes() {
+        return ['shape', 'progress', 'build-order'];
+    }
+
     constructor() {
         super();
         this.attachShadow({ mode: 'open' });
@@ -20,6 +24,26 @@ class PyramidBuilder extends HTMLElement {
         this.mouseInfluenceRadius = 80; // pixels radius for mouse influence
         this.mouseInfluenceStrength = 0.05; // strength of mouse pull effect (much weaker)
 
+        // Drop style: 'ease' (cubic ease-out from dropDistance) or 'physics'
+        this.dropMode = 'ease';
+        this.gravity = 2400; // px/s², physics mode
+        this.restitution = 0.35; // share of speed kept on each bounce
+        this.lateralJitter = 40; // px/s of random sideways speed at release
+        this.settleStiffness = 60; // 1/s², sideways pull toward the dot's slot
+        this.landingNudge = 0.012; // px of neighbour displacement per px/s of impact speed
+        this.maxNudge = 3; // px
+        this.maxDropTime = 3000; // ms before a bouncing dot is snapped into its slot
+        this.lastFrameTime = 0;
+        this.prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+        // Shape template: 'triangle', 'hexagon', 'diamond', 'circle', or an SVG path,
+        // SVG/image file, text or bitmap mask sampled onto the hex lattice (see setShape())
+        this.shape = 'triangle';
+        this.shapeThreshold = 0.5; // mask alpha (0-1) a lattice point needs to get a dot
+        this.shapeFont = 'bold 100px sans-serif'; // text shapes; the size is scaled to fit
+        this.shapeImages = new Map(); // image source (URL or element) -> { image, ready, failed, promise }
+        this.shapeError = null; // { shape, message } once the current shape has failed
+
         // Canvas and animation properties
         this.canvas = null;
         this.ctx = null;
@@ -35,10 +59,28 @@ class PyramidBuilder extends HTMLElement {
 
         // Pyramid structure
         this.pyramidLayers = [];
+        this.buildSequence = []; // dots in the order they are placed
+        // 'sequential' (row by row from the bottom-left), 'random' (only onto resting dots),
+        // 'center-out', 'spiral', 'columns', 'top-down', or a function (dots) => ordered dots
+        this.buildOrder = 'sequential';
         this.totalDots = 0;
         this.builtDots = 0;
         this.nextDotIndex = 0;
 
+        // External progress (setProgress(), progress attribute, bindScroll()) replaces the build timer
+        this.progressMode = null; // null (timer), 'manual' or 'scroll'
+        this.progress = null; // 0-1 target while externally driven
+        this.progressCatchUpFrames = 12; // frames to close most of the gap to a new progress value
+        this.scrollTarget = null;
+        this.handleScroll = this.handleScroll.bind(this);
+
+        // Lifecycle: build-start, dot-landed, layer-complete, build-complete and reset events
+        this.restingDots = 0; // dots settled in their slot
+        this.layerResting = []; // resting dots per layer
+        this.buildStarted = false;
+        this.buildCompleted = false;
+        this.completeWaiters = []; // whenComplete() { resolve, reject }
+
         // Fade-in animation
         this.fadeInProgress = 0;
         this.fadeInStartTime = 0;
@@ -59,6 +101,27 @@ class PyramidBuilder extends HTMLElement {
         this.startAnimation();
     }
 
+    /**
+     * Handle attribute changes
+     */
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue === newValue) return;
+        if (name === 'shape') {
+            this.setShape(newValue || 'triangle');
+        } else if (name === 'build-order') {
+            this.buildOrder = newValue || 'sequential';
+            this.reset();
+        } else if (name === 'progress') {
+            // "0.4" or "40%"; removing the attribute hands the build back to the timer
+            if (newValue === null) {
+                this.setProgress(null);
+            } else {
+                const value = parseFloat(newValue);
+                if (!isNaN(value)) this.setProgress(newValue.trim().endsWith('%') ? value / 100 : value);
+            }
+        }
+    }
+
     /**
      * Setup component styles
      */
@@ -105,7 +168,7 @@ class PyramidBuilder extends HTMLElement {
         this.canvas.style.height = rect.height + 'px';
 
         this.ctx.scale(dpr, dpr);
-        this.createPyramidStructure();
+        this.createPyramidStructure(true);
     }
 
     /**
@@ -114,6 +177,13 @@ class PyramidBuilder extends HTMLElement {
     bindEvents() {
         window.addEventListener('resize', this.handleResize.bind(this));
 
+        // Follow reduced-motion changes without a reload
+        this.reducedMotionMediaQuery = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.handleReducedMotionChange = (e) => {
+            this.prefersReducedMotion = e.matches;
+        };
+        this.reducedMotionMediaQuery.addEventListener('change', this.handleReducedMotionChange);
+
         this.observer = new IntersectionObserver(
             this.handleIntersection.bind(this),
             { threshold: 0.1 }
@@ -170,9 +240,11 @@ class PyramidBuilder extends HTMLElement {
     }
 
     /**
-     * Create the pyramid structure with hexagonal grid
+     * Create the pyramid structure with hexagonal grid. With keepProgress (resize,
+     * setProperties) the new layout stands as far along as the old one did.
      */
-    createPyramidStructure() {
+    createPyramidStructure(keepProgress = false) {
+        const previous = keepProgress && this.totalDots ? this.nextDotIndex / this.totalDots : null;
         const rect = this.getBoundingClientRect();
         const centerX = rect.width / 2;
         const centerY = rect.height / 2;
@@ -190,65 +262,563 @@ class PyramidBuilder extends HTMLElement {
         this.pyramidLayers = [];
         this.totalDots = 0;
 
-        /*  Axial coords (q, r)
-            Build rows r = 0 … numLayers-1
-            For each r, q runs 0 … numLayers-1-r
-        */
-        for (let r = 0; r < numLayers; r++) {
-            const layerDots = [];
-            for (let q = 0; q < numLayers - r; q++) {
-                // axial → pixel (pointy-topped)
-                const x = centerX + this.dotSpacing * (q + r / 2)
-                    - this.dotSpacing * (numLayers - 1) / 2;   // centre whole pyramid
-                const y = centerY + maxHeight / 2 - verticalSpacing * r;
-
-                layerDots.push({
-                    x, y,
-                    targetX: x,
-                    targetY: y,
-                    opacity: 0,
-                    targetOpacity: 0,
-                    isBuilt: false,
-                    dropStartTime: 0,
-                    isDropping: false,
-                    layerIndex: r,
-                    dotIndex: q,
-                    globalIndex: this.totalDots + q
+        const shape = this.normalizeShape(this.shape);
+        if (shape.error) this.reportShapeError(shape.error);
+        if (shape.type === 'triangle') {
+            /*  Axial coords (q, r)
+                Build rows r = 0 … numLayers-1
+                For each r, q runs 0 … numLayers-1-r
+            */
+            for (let r = 0; r < numLayers; r++) {
+                const layerDots = [];
+                for (let q = 0; q < numLayers - r; q++) {
+                    // axial → pixel (pointy-topped)
+                    const x = centerX + this.dotSpacing * (q + r / 2)
+                        - this.dotSpacing * (numLayers - 1) / 2;   // centre whole pyramid
+                    const y = centerY + maxHeight / 2 - verticalSpacing * r;
+
+                    layerDots.push(this.createDot(x, y, r, q));
+                }
+                this.pyramidLayers.push(layerDots);
+                this.totalDots += layerDots.length;
+            }
+        } else {
+            const mask = this.createShapeMask(shape, maxWidth, maxHeight);
+            if (mask) this.sampleShapeLayers(mask, centerX - maxWidth / 2, centerY - maxHeight / 2, maxWidth, maxHeight);
+        }
+
+        this.linkDotNeighbors();
+        this.buildSequence = this.orderDots(this.pyramidLayers.flat());
+
+        // Reset building state - start with 90% pre-built, at the external progress,
+        // or where the previous layout was
+        this.isBuilding = false;
+        if (this.buildTimer) {
+            clearTimeout(this.buildTimer);
+            this.buildTimer = null;
+        }
+        let preBuilt = Math.floor(this.totalDots * 0.9);
+        if (this.progressMode) preBuilt = Math.round(this.totalDots * this.progress);
+        else if (previous !== null) preBuilt = Math.round(this.totalDots * previous);
+        this.prebuildDots(preBuilt);
+
+        // A shape that failed to produce any dots will never complete
+        if (!this.totalDots && this.shapeError && this.shapeError.shape === this.shape) {
+            const waiters = this.completeWaiters;
+            this.completeWaiters = [];
+            waiters.forEach(({ reject }) => reject(new Error(this.shapeError.message)));
+        }
+
+        // A rebuild (resize, setProperties, a loaded shape) carries on building; reset() fades in first
+        if (!this.isFadingIn) this.startBuilding();
+    }
+
+    /**
+     * Place the first `count` dots of the build sequence without animation and hide the rest
+     */
+    prebuildDots(count) {
+        this.nextDotIndex = count;
+        this.builtDots = count;
+        this.isComplete = this.progressMode !== null && this.totalDots > 0 && count >= this.totalDots;
+        this.buildSequence.forEach((dot, index) => {
+            dot.isDropping = false;
+            dot.isLifting = false;
+            if (index < count) {
+                dot.isBuilt = true;
+                dot.opacity = 1;
+                dot.y = dot.targetY;
+            } else {
+                dot.isBuilt = false;
+                dot.opacity = 0;
+                dot.y = dot.targetY - this.dropDistance;
+            }
+        });
+
+        // Pre-built dots count as resting; events start with the first dot that moves
+        this.restingDots = count;
+        this.layerResting = this.pyramidLayers.map((layer) => layer.filter((dot) => dot.isBuilt).length);
+    }
+
+    /**
+     * Order dots for building according to buildOrder (dots arrive in globalIndex order).
+     * An unknown name, or a function that does not return every dot once, gets an `error`
+     * event and sequential order.
+     */
+    orderDots(dots) {
+        const order = this.buildOrder;
+        if (typeof order === 'function') {
+            const ordered = order(dots.slice(), { spacing: this.dotSpacing, layers: this.pyramidLayers });
+            const known = new Set(dots);
+            const valid = Array.isArray(ordered) && ordered.length === dots.length
+                && new Set(ordered).size === dots.length && ordered.every((dot) => known.has(dot));
+            if (valid) return ordered;
+            this.emit('error', { message: 'buildOrder function must return every dot once; using sequential order' });
+            return dots;
+        }
+
+        // Centre of the shape, for the radial orders
+        let cx = 0, cy = 0;
+        dots.forEach((dot) => { cx += dot.targetX; cy += dot.targetY; });
+        cx /= dots.length || 1;
+        cy /= dots.length || 1;
+        const by = (key) => dots
+            .map((dot) => ({ dot, key: key(dot) }))
+            .sort((a, b) => a.key - b.key || a.dot.globalIndex - b.dot.globalIndex)
+            .map((entry) => entry.dot);
+
+        switch (order) {
+            case 'sequential':
+                return dots;
+            case 'random':
+                return this.supportedRandomOrder(dots);
+            case 'center-out':
+                return by((dot) => Math.hypot(dot.targetX - cx, dot.targetY - cy));
+            case 'spiral':
+                // Archimedean spiral: one turn per dot spacing of radius
+                return by((dot) => {
+                    const angle = Math.atan2(dot.targetY - cy, dot.targetX - cx);
+                    const turn = (angle + Math.PI) / (Math.PI * 2);
+                    return Math.round(Math.hypot(dot.targetX - cx, dot.targetY - cy) / this.dotSpacing - turn) + turn;
                 });
+            case 'columns':
+                // Left to right; each column from the bottom up
+                return by((dot) => Math.round(dot.targetX / (this.dotSpacing / 2)) * 1e6 - dot.targetY);
+            case 'top-down':
+                return by((dot) => -dot.layerIndex * 1e6 + dot.dotIndex);
+            default:
+                this.emit('error', { message: `unknown buildOrder "${order}"; using sequential order` });
+                return dots;
+        }
+    }
+
+    /**
+     * Random order in which a dot only drops once the dots it rests on (the lattice
+     * neighbours in the layer below, where the shape has them) are already placed
+     */
+    supportedRandomOrder(dots) {
+        const waiting = new Map(); // dot -> number of supports not yet placed
+        const dependents = new Map(dots.map((dot) => [dot, []]));
+        dots.forEach((dot) => {
+            waiting.set(dot, dot.supports.length);
+            dot.supports.forEach((other) => dependents.get(other).push(dot));
+        });
+
+        const ready = dots.filter((dot) => waiting.get(dot) === 0);
+        const ordered = [];
+        while (ready.length) {
+            const pick = Math.floor(Math.random() * ready.length);
+            const dot = ready[pick];
+            ready[pick] = ready[ready.length - 1];
+            ready.pop();
+            ordered.push(dot);
+            dependents.get(dot).forEach((above) => {
+                const left = waiting.get(above) - 1;
+                waiting.set(above, left);
+                if (left === 0) ready.push(above);
+            });
+        }
+        return ordered;
+    }
+
+    /**
+     * Link each dot to its lattice neighbours (for landing nudges) and to the
+     * neighbours in the layer below that it rests on (supports), via a spatial hash
+     */
+    linkDotNeighbors() {
+        const spacing = this.dotSpacing;
+        const cells = new Map();
+        const key = (cx, cy) => cx + ',' + cy;
+        const dots = this.pyramidLayers.flat();
+        dots.forEach((dot) => {
+            const cell = key(Math.floor(dot.targetX / spacing), Math.floor(dot.targetY / spacing));
+            if (!cells.has(cell)) cells.set(cell, []);
+            cells.get(cell).push(dot);
+        });
+        dots.forEach((dot) => {
+            const cx = Math.floor(dot.targetX / spacing);
+            const cy = Math.floor(dot.targetY / spacing);
+            dot.neighbors = [];
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    (cells.get(key(cx + dx, cy + dy)) || []).forEach((other) => {
+                        if (other !== dot && Math.hypot(other.targetX - dot.targetX, other.targetY - dot.targetY) <= spacing * 1.1) {
+                            dot.neighbors.push(other);
+                        }
+                    });
+                }
             }
+            dot.supports = dot.neighbors.filter((other) => other.layerIndex === dot.layerIndex - 1);
+        });
+    }
+
+    /**
+     * Create a dot resting at its target position (hidden until built)
+     */
+    createDot(x, y, layerIndex, dotIndex) {
+        return {
+            x, y,
+            targetX: x,
+            targetY: y,
+            opacity: 0,
+            targetOpacity: 0,
+            isBuilt: false,
+            dropStartTime: 0,
+            isDropping: false,
+            layerIndex,
+            dotIndex,
+            globalIndex: this.totalDots + dotIndex
+        };
+    }
+
+    /**
+     * Sample a shape mask onto the hex lattice covering the given box.
+     * Rows run from the bottom of the box up; empty rows are skipped, so layer 0 is the
+     * lowest row that has dots and each layer lists its dots from left to right.
+     */
+    sampleShapeLayers(mask, left, top, width, height) {
+        const spacing = this.dotSpacing;
+        const verticalSpacing = spacing * Math.sqrt(3) / 2;
+        const rows = Math.floor(height / verticalSpacing) + 1;
+        const columns = Math.floor(width / spacing) + 1;
+        // Centre the lattice in the box
+        const marginX = (width - (columns - 1) * spacing - spacing / 2) / 2;
+        const marginY = (height - (rows - 1) * verticalSpacing) / 2;
+
+        for (let r = 0; r < rows; r++) {
+            const y = height - marginY - verticalSpacing * r;
+            const layerDots = [];
+            for (let c = 0; c < columns; c++) {
+                // Odd rows shift half a spacing, like the axial triangle rows
+                const x = marginX + spacing * (c + (r % 2) / 2);
+                if (!mask.test(x, y)) continue;
+                layerDots.push(this.createDot(left + x, top + y, this.pyramidLayers.length, layerDots.length));
+            }
+            if (!layerDots.length) continue;
             this.pyramidLayers.push(layerDots);
             this.totalDots += layerDots.length;
         }
+    }
 
-        // Reset building state - start with 90% pre-built
-        const preBuiltPercentage = 0.9;
-        this.nextDotIndex = Math.floor(this.totalDots * preBuiltPercentage);
-        this.builtDots = this.nextDotIndex;
-        this.isBuilding = false;
-        this.isComplete = false;
+    /**
+     * Set the shape template and rebuild. Accepts 'triangle', 'hexagon', 'diamond',
+     * 'circle'; SVG path data (string or { path, viewBox }); an SVG or image file URL
+     * (with a '/' or '.', or a data:/blob: URL; or { svg: url or markup }); { text, font } or 'text:Label'; or a bitmap mask
+     * ({ image } with an image, canvas, ImageBitmap or ImageData). Returns a promise
+     * that resolves to true once the shape is laid out (files load asynchronously), or
+     * to false when it cannot be used; the reason is dispatched as an `error` event.
+     */
+    setShape(shape) {
+        this.shape = shape;
+        this.shapeError = null;
+        const normalized = this.normalizeShape(shape);
+        const pending = normalized.type === 'image' && typeof normalized.source === 'string'
+            ? this.loadShapeImage(normalized.source)
+            : Promise.resolve();
+        this.reset();
+        return pending.then(() => !(this.shapeError && this.shapeError.shape === shape));
+    }
 
-        // Pre-build the bottom 90% of dots
-        this.pyramidLayers.forEach((layer, layerIndex) => {
-            layer.forEach((dot, dotIndex) => {
-                if (dot.globalIndex < this.nextDotIndex) {
-                    dot.isBuilt = true;
-                    dot.opacity = 1;
-                    dot.y = dot.targetY;
-                } else {
-                    dot.isBuilt = false;
-                    dot.opacity = 0;
-                    dot.y = dot.targetY - this.dropDistance;
+    /**
+     * Dispatch an `error` event for a shape that cannot be laid out (once per shape)
+     */
+    reportShapeError(message) {
+        if (this.shapeError && this.shapeError.shape === this.shape) return;
+        this.shapeError = { shape: this.shape, message };
+        this.emit('error', { message, shape: this.shape });
+    }
+
+    /**
+     * Normalize the shape option into { type, ... }
+     */
+    normalizeShape(shape) {
+        const builtIn = ['triangle', 'hexagon', 'diamond', 'circle'];
+        if (!shape) return { type: 'triangle' };
+        if (typeof shape === 'string') {
+            const value = shape.trim();
+            if (builtIn.includes(value)) return { type: value };
+            if (value.startsWith('text:')) return { type: 'text', text: value.slice(5) };
+            if (value.startsWith('<svg')) return { type: 'image', source: this.svgDataUrl(value), size: this.svgSize(value) };
+            // Path data starts with a moveto command
+            if (/^[Mm][\s\d.,+-]/.test(value)) return { type: 'path', d: value };
+            // Only what looks like a URL or file path is fetched; a mistyped name is not
+            if (/[/.]/.test(value) || /^(data|blob):/i.test(value)) return { type: 'image', source: value };
+            return { type: 'triangle', error: `unknown shape "${value}", using triangle` };
+        }
+        if (typeof shape === 'object') {
+            if (shape.path || shape.d) return { type: 'path', d: shape.path || shape.d, viewBox: shape.viewBox || null };
+            if (shape.text != null) return { type: 'text', text: String(shape.text), font: shape.font || null };
+            if (shape.svg) {
+                const svg = String(shape.svg).trim();
+                if (!svg.startsWith('<svg')) return { type: 'image', source: svg };
+                return { type: 'image', source: this.svgDataUrl(svg), size: this.svgSize(svg) };
+            }
+            const source = shape.image || shape.bitmap || shape.src;
+            if (source) return { type: 'image', source };
+            if (builtIn.includes(shape.type)) return { type: shape.type };
+        }
+        return { type: 'triangle', error: 'unknown shape, using triangle' };
+    }
+
+    /**
+     * Data URL for inline SVG markup, so it loads like a file
+     */
+    svgDataUrl(markup) {
+        return 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(markup);
+    }
+
+    /**
+     * [width, height] of inline SVG markup from its root width/height or viewBox, or null.
+     * Markup without width/height can load with a natural size of 0.
+     */
+    svgSize(markup) {
+        const root = (/<svg\b[^>]*>/i.exec(markup) || [''])[0];
+        const attr = (name) => (new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, 'i').exec(root) || [])[1];
+        const length = (value) => (/^\s*[\d.]+\s*(px)?\s*$/.test(value || '') ? parseFloat(value) : 0); // not %/em
+        const width = length(attr('width'));
+        const height = length(attr('height'));
+        if (width > 0 && height > 0) return [width, height];
+        const viewBox = (attr('viewBox') || '').trim().split(/[\s,]+/).map(Number);
+        if (viewBox.length === 4 && viewBox[2] > 0 && viewBox[3] > 0) return [viewBox[2], viewBox[3]];
+        return null;
+    }
+
+    /**
+     * Build a mask ({ test(x, y) } in box pixels) for a non-triangle shape.
+     * Returns null while an image source is still loading.
+     */
+    createShapeMask(shape, width, height) {
+        switch (shape.type) {
+            case 'circle': {
+                const radius = Math.min(width, height) / 2;
+                return { test: (x, y) => Math.hypot(x - width / 2, y - height / 2) <= radius };
+            }
+            case 'hexagon': {
+                // Regular, flat top and bottom, as large as the box allows
+                const size = Math.min(width / 2, height / Math.sqrt(3));
+                const h = size * Math.sqrt(3) / 2;
+                return {
+                    test: (x, y) => {
+                        const dx = Math.abs(x - width / 2);
+                        const dy = Math.abs(y - height / 2);
+                        return dy <= h && dx <= size - dy / Math.sqrt(3);
+                    }
+                };
+            }
+            case 'diamond':
+                return { test: (x, y) => Math.abs(x - width / 2) / (width / 2) + Math.abs(y - height / 2) / (height / 2) <= 1 };
+            case 'path':
+                return this.rasterMask(width, height, (ctx) => {
+                    const path = new Path2D(shape.d);
+                    const [bx, by, bw, bh] = shape.viewBox || this.pathBounds(shape.d);
+                    this.fitContext(ctx, bw, bh, width, height);
+                    ctx.translate(-bx, -by);
+                    ctx.fill(path);
+                });
+            case 'text':
+                return this.rasterMask(width, height, (ctx) => {
+                    ctx.font = shape.font || this.shapeFont;
+                    const metrics = ctx.measureText(shape.text);
+                    const ascent = metrics.actualBoundingBoxAscent || parseFloat(ctx.font) * 0.8 || 80;
+                    const descent = metrics.actualBoundingBoxDescent || 0;
+                    this.fitContext(ctx, metrics.width, ascent + descent, width, height);
+                    ctx.textBaseline = 'alphabetic';
+                    ctx.fillText(shape.text, 0, ascent);
+                });
+            case 'image': {
+                let source = shape.source;
+                if (typeof source === 'string') {
+                    const entry = this.shapeImages.get(source);
+                    if (entry && entry.failed) {
+                        this.reportShapeError(`could not load shape image ${source}`);
+                        return null;
+                    }
+                    if (!entry || !entry.ready) {
+                        if (!entry) this.loadShapeImage(source);
+                        return null;
+                    }
+                    source = entry.image;
                 }
-            });
+                if (typeof ImageData !== 'undefined' && source instanceof ImageData) {
+                    // ImageData can only be put, not scaled: copy it onto a canvas first
+                    const copy = document.createElement('canvas');
+                    copy.width = source.width;
+                    copy.height = source.height;
+                    copy.getContext('2d').putImageData(source, 0, 0);
+                    source = copy;
+                }
+                if (typeof HTMLImageElement !== 'undefined' && source instanceof HTMLImageElement && !source.complete) {
+                    this.watchShapeImage(source);
+                    return null;
+                }
+                // Inline SVG without width/height may report 0; fall back to its viewBox
+                const sourceWidth = source.naturalWidth || source.width || (shape.size && shape.size[0]);
+                const sourceHeight = source.naturalHeight || source.height || (shape.size && shape.size[1]);
+                if (!sourceWidth || !sourceHeight) {
+                    this.reportShapeError('shape image has no size (give SVG markup a width/height or viewBox)');
+                    return null;
+                }
+                return this.rasterMask(width, height, (ctx) => {
+                    this.fitContext(ctx, sourceWidth, sourceHeight, width, height);
+                    ctx.drawImage(source, 0, 0, sourceWidth, sourceHeight);
+                });
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Draw into an offscreen canvas the size of the box and test lattice points
+     * against its alpha channel
+     */
+    rasterMask(width, height, draw) {
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.ceil(width));
+        canvas.height = Math.max(1, Math.ceil(height));
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#000';
+        draw(ctx);
+        let data;
+        try {
+            data = ctx.getImageData(0, 0, canvas.width, canvas.height).data;
+        } catch (error) {
+            // Cross-origin images taint the canvas
+            this.reportShapeError(`cannot read shape pixels: ${error.message}`);
+            return null;
+        }
+        const threshold = this.shapeThreshold * 255;
+        return {
+            test: (x, y) => {
+                const px = Math.floor(x);
+                const py = Math.floor(y);
+                if (px < 0 || py < 0 || px >= canvas.width || py >= canvas.height) return false;
+                return data[(py * canvas.width + px) * 4 + 3] >= threshold;
+            }
+        };
+    }
+
+    /**
+     * Scale and centre content of the given size inside the box, keeping its aspect ratio
+     */
+    fitContext(ctx, contentWidth, contentHeight, width, height) {
+        const scale = Math.min(width / (contentWidth || 1), height / (contentHeight || 1));
+        ctx.translate((width - contentWidth * scale) / 2, (height - contentHeight * scale) / 2);
+        ctx.scale(scale, scale);
+    }
+
+    /**
+     * Approximate bounding box [x, y, width, height] of SVG path data
+     * (control points included, so curves may be slightly overestimated)
+     */
+    pathBounds(d) {
+        const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+        const arity = { m: 2, l: 2, h: 1, v: 1, c: 6, s: 4, q: 4, t: 2, a: 7, z: 0 };
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        let x = 0, y = 0, startX = 0, startY = 0;
+        let command = null;
+        const add = (px, py) => {
+            minX = Math.min(minX, px); maxX = Math.max(maxX, px);
+            minY = Math.min(minY, py); maxY = Math.max(maxY, py);
+        };
+        let i = 0;
+        while (i < tokens.length) {
+            if (/[a-zA-Z]/.test(tokens[i])) command = tokens[i++];
+            if (!command) break;
+            const lower = command.toLowerCase();
+            const relative = command !== command.toUpperCase();
+            if (lower === 'z') {
+                x = startX;
+                y = startY;
+                command = null;
+                continue;
+            }
+            const args = tokens.slice(i, i + arity[lower]).map(Number);
+            if (args.length < arity[lower] || args.some((n) => isNaN(n))) break;
+            i += arity[lower];
+            const ox = relative ? x : 0;
+            const oy = relative ? y : 0;
+            if (lower === 'h') {
+                x = ox + args[0];
+            } else if (lower === 'v') {
+                y = oy + args[0];
+            } else if (lower === 'a') {
+                x = ox + args[5];
+                y = oy + args[6];
+                // Include the radii around the end point to cover the arc's bulge
+                add(x - args[0], y - args[1]);
+                add(x + args[0], y + args[1]);
+            } else {
+                for (let k = 0; k < args.length - 2; k += 2) add(ox + args[k], oy + args[k + 1]);
+                x = ox + args[args.length - 2];
+                y = oy + args[args.length - 1];
+            }
+            add(x, y);
+            if (lower === 'm') {
+                startX = x;
+                startY = y;
+                command = relative ? 'l' : 'L'; // further pairs are implicit linetos
+            }
+        }
+        if (minX === Infinity) return [0, 0, 1, 1];
+        return [minX, minY, maxX - minX || 1, maxY - minY || 1];
+    }
+
+    /**
+     * Load an image (SVG or bitmap file) used as a shape; rebuilds when ready
+     */
+    loadShapeImage(source) {
+        const existing = this.shapeImages.get(source);
+        if (existing) return existing.promise;
+        const entry = { image: new Image(), ready: false, failed: false, promise: null };
+        entry.promise = new Promise((resolve) => {
+            entry.image.onload = () => {
+                entry.ready = true;
+                // Rebuild only if the shape still uses this image
+                const current = this.normalizeShape(this.shape);
+                if (current.type === 'image' && current.source === source) this.reset();
+                resolve(entry.image);
+            };
+            entry.image.onerror = () => {
+                entry.failed = true;
+                // Rebuild so the failure is reported if the shape still uses this image
+                const current = this.normalizeShape(this.shape);
+                if (current.type === 'image' && current.source === source) this.reset();
+                resolve(null);
+            };
         });
+        this.shapeImages.set(source, entry);
+        entry.image.src = source;
+        return entry.promise;
+    }
+
+    /**
+     * Rebuild once an image element passed as a shape finishes loading. Registered once
+     * per element (tracked in shapeImages), however often the layout is rebuilt meanwhile.
+     */
+    watchShapeImage(image) {
+        if (this.shapeImages.has(image)) return;
+        const entry = { image, ready: false, failed: false, promise: null };
+        this.shapeImages.set(image, entry);
+        const settle = (failed) => {
+            entry.ready = !failed;
+            entry.failed = failed;
+            const current = this.normalizeShape(this.shape);
+            if (current.type !== 'image' || current.source !== image) return;
+            if (failed) this.reportShapeError('could not load shape image element');
+            this.reset();
+        };
+        image.addEventListener('load', () => settle(false), { once: true });
+        image.addEventListener('error', () => settle(true), { once: true });
     }
 
     /**
      * Start the building animation
      */
     startBuilding() {
+        if (this.progressMode) return; // externally driven: no timer
         if (!this.isBuilding && !this.isComplete) {
             this.isBuilding = true;
+            this.notifyBuildStart();
             this.addNextDot();
         }
     }
@@ -263,23 +833,8 @@ class PyramidBuilder extends HTMLElement {
             return;
         }
 
-        // Find the next dot to add
-        let dotFound = false;
-        for (let layerIndex = 0; layerIndex < this.pyramidLayers.length && !dotFound; layerIndex++) {
-            const layer = this.pyramidLayers[layerIndex];
-            for (let dotIndex = 0; dotIndex < layer.length && !dotFound; dotIndex++) {
-                const dot = layer[dotIndex];
-                if (dot.globalIndex === this.nextDotIndex) {
-                    // Start drop animation for this dot
-                    dot.isDropping = true;
-                    dot.dropStartTime = Date.now();
-                    dot.y = dot.targetY - this.dropDistance; // Start from above
-                    dot.opacity = 0;
-                    dot.targetOpacity = 1;
-                    dotFound = true;
-                }
-            }
-        }
+        // Start drop animation for the next dot in the sequence
+        this.dropDot(this.buildSequence[this.nextDotIndex]);
 
         this.nextDotIndex++;
         this.builtDots++;
@@ -292,13 +847,322 @@ class PyramidBuilder extends HTMLElement {
         }
     }
 
+    /**
+     * Start a dot's drop from above its slot
+     */
+    dropDot(dot) {
+        this.notifyBuildStart();
+        if (dot.isBuilt) this.unrestDot(dot);
+        dot.isDropping = true;
+        dot.isLifting = false;
+        dot.dropStartTime = Date.now();
+        dot.x = dot.targetX;
+        dot.y = dot.targetY - this.dropDistance; // Start from above
+        dot.opacity = 0;
+        dot.targetOpacity = 1;
+        // Physics mode releases the dot with a little sideways drift
+        dot.vx = (Math.random() * 2 - 1) * this.lateralJitter;
+        dot.vy = 0;
+    }
+
+    /**
+     * One physics step for a falling dot: gravity, a sideways pull into its slot,
+     * bounces off the resting dots it lands on and the slot itself. Returns true once settled.
+     */
+    stepDropPhysics(dot, dt) {
+        const spacing = this.dotSpacing;
+        const restitution = this.restitution;
+        // Substeps keep fast dots from passing through their supports
+        const steps = Math.max(1, Math.ceil((Math.abs(dot.vy) * dt) / (spacing * 0.25)));
+        const h = dt / steps;
+        for (let step = 0; step < steps; step++) {
+            dot.vy += this.gravity * h;
+            dot.vx += (dot.targetX - dot.x) * this.settleStiffness * h;
+            dot.vx *= Math.pow(0.2, h); // sideways damping
+            dot.x += dot.vx * h;
+            dot.y += dot.vy * h;
+
+            // Resting supports are discs one spacing away from the slot centre
+            for (const support of dot.supports) {
+                if (!support.isBuilt) continue;
+                const dx = dot.x - support.targetX;
+                const dy = dot.y - support.targetY;
+                const distance = Math.hypot(dx, dy);
+                if (distance >= spacing || distance === 0) continue;
+                const nx = dx / distance;
+                const ny = dy / distance;
+                dot.x = support.targetX + nx * spacing;
+                dot.y = support.targetY + ny * spacing;
+                const approach = dot.vx * nx + dot.vy * ny;
+                if (approach < 0) {
+                    dot.vx -= (1 + restitution) * approach * nx;
+                    dot.vy -= (1 + restitution) * approach * ny;
+                    this.nudgeNeighbors(dot, -approach);
+                }
+            }
+
+            // The slot is the floor (the only one for the bottom layer and overhangs)
+            if (dot.y > dot.targetY) {
+                dot.y = dot.targetY;
+                if (dot.vy > 0) {
+                    this.nudgeNeighbors(dot, dot.vy);
+                    dot.vy *= -restitution;
+                }
+            }
+        }
+
+        const settled = Math.abs(dot.y - dot.targetY) < 0.5 && Math.abs(dot.x - dot.targetX) < 0.5
+            && Math.abs(dot.vy) < 40 && Math.abs(dot.vx) < 40;
+        return settled || Date.now() - dot.dropStartTime > this.maxDropTime;
+    }
+
+    /**
+     * Push resting neighbours away from an impact; they spring back on their own
+     */
+    nudgeNeighbors(dot, speed) {
+        const offset = Math.min(this.maxNudge, speed * this.landingNudge);
+        if (offset < 0.05) return;
+        dot.neighbors.forEach((other) => {
+            if (!other.isBuilt) return;
+            const dx = other.targetX - dot.x;
+            const dy = other.targetY - dot.y;
+            const distance = Math.hypot(dx, dy) || 1;
+            other.x += (dx / distance) * offset;
+            other.y += (dy / distance) * offset;
+            // Rapid landings stack up; keep each dot within maxNudge of its slot
+            const ox = other.x - other.targetX;
+            const oy = other.y - other.targetY;
+            const displaced = Math.hypot(ox, oy);
+            if (displaced > this.maxNudge) {
+                other.x = other.targetX + (ox / displaced) * this.maxNudge;
+                other.y = other.targetY + (oy / displaced) * this.maxNudge;
+            }
+        });
+    }
+
+    /**
+     * Start lifting a dot back out of its slot (reverse of the drop)
+     */
+    liftDot(dot) {
+        if (dot.isBuilt) this.unrestDot(dot);
+        dot.isDropping = false;
+        dot.isBuilt = false;
+        dot.isLifting = true;
+        dot.liftStartTime = Date.now();
+        dot.liftStartY = dot.y;
+        dot.liftStartOpacity = dot.opacity;
+        dot.targetOpacity = 0;
+    }
+
+    /**
+     * A dot came to rest in its slot: dispatch dot-landed, then layer-complete and
+     * build-complete when it was the last one missing
+     */
+    landDot(dot) {
+        dot.isDropping = false;
+        dot.isBuilt = true;
+        this.restingDots++;
+        this.layerResting[dot.layerIndex]++;
+        const layer = this.pyramidLayers[dot.layerIndex];
+        this.emit('dot-landed', {
+            layer: dot.layerIndex,
+            index: dot.dotIndex,
+            globalIndex: dot.globalIndex,
+            x: dot.targetX,
+            y: dot.targetY,
+            builtDots: this.restingDots,
+            totalDots: this.totalDots
+        });
+        if (this.layerResting[dot.layerIndex] === layer.length) {
+            this.emit('layer-complete', { layer: dot.layerIndex, dots: layer.length, layers: this.pyramidLayers.length });
+        }
+        this.checkBuildComplete();
+    }
+
+    /**
+     * A resting dot starts moving again (lifted out or dropped anew)
+     */
+    unrestDot(dot) {
+        dot.isBuilt = false;
+        this.restingDots--;
+        this.layerResting[dot.layerIndex]--;
+        this.buildCompleted = false;
+    }
+
+    /**
+     * Dispatch build-start once per build, when the first dot moves
+     */
+    notifyBuildStart() {
+        if (this.buildStarted) return;
+        this.buildStarted = true;
+        this.emit('build-start', { builtDots: this.restingDots, totalDots: this.totalDots });
+    }
+
+    /**
+     * Dispatch build-complete and settle whenComplete() once every dot rests
+     */
+    checkBuildComplete() {
+        if (this.buildCompleted || !this.totalDots || this.restingDots < this.totalDots) return;
+        this.buildCompleted = true;
+        const detail = { totalDots: this.totalDots, layers: this.pyramidLayers.length };
+        this.emit('build-complete', detail);
+        const waiters = this.completeWaiters;
+        this.completeWaiters = [];
+        waiters.forEach(({ resolve }) => resolve(detail));
+    }
+
+    /**
+     * Promise that resolves (with the build-complete detail) once every dot rests;
+     * already resolved when the pyramid stands complete. Stays pending while a shape
+     * loads, and rejects if the shape fails without producing any dots.
+     */
+    whenComplete() {
+        if (this.buildCompleted) {
+            return Promise.resolve({ totalDots: this.totalDots, layers: this.pyramidLayers.length });
+        }
+        if (!this.totalDots && this.shapeError && this.shapeError.shape === this.shape) {
+            return Promise.reject(new Error(this.shapeError.message));
+        }
+        return new Promise((resolve, reject) => this.completeWaiters.push({ resolve, reject }));
+    }
+
+    /**
+     * Dispatch a lifecycle CustomEvent from the host element
+     */
+    emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail, bubbles: true }));
+    }
+
+    /**
+     * Drive the build from outside: 0-1 sets how much of the pyramid stands, and dots
+     * drop in or lift out to match. Turns the build timer off; null hands the build
+     * back to the timer.
+     */
+    setProgress(value) {
+        if (value === null || value === undefined) {
+            this.unbindScroll();
+            this.progressMode = null;
+            this.progress = null;
+            this.isComplete = this.nextDotIndex >= this.totalDots;
+            if (!this.isFadingIn) this.startBuilding();
+            return;
+        }
+        const takingOver = !this.progressMode;
+        if (takingOver) this.progressMode = 'manual';
+        this.progress = Math.min(1, Math.max(0, Number(value) || 0));
+        this.isBuilding = false;
+        if (this.buildTimer) {
+            clearTimeout(this.buildTimer);
+            this.buildTimer = null;
+        }
+        // Before the timer build has shown anything (e.g. a progress attribute in markup),
+        // start from the given progress rather than the default 90%
+        if (takingOver && (this.isFadingIn || !this.buildStarted)) {
+            this.prebuildDots(Math.round(this.totalDots * this.progress));
+        }
+    }
+
+    /**
+     * Tie progress to the scroll position of an element (or window): the top of
+     * its scroll range is 0, the bottom is 1. The build timer stays off until unbindScroll().
+     * Returns false (keeping any current binding) when the target is not found.
+     */
+    bindScroll(target) {
+        const element = typeof target === 'string' ? document.querySelector(target) : target;
+        if (!element) return false;
+        this.unbindScroll();
+        this.scrollTarget = element;
+        element.addEventListener('scroll', this.handleScroll, { passive: true });
+        this.progressMode = 'scroll';
+        this.handleScroll();
+        return true;
+    }
+
+    /**
+     * Stop following scroll; progress stays at its last value until set again
+     */
+    unbindScroll() {
+        if (!this.scrollTarget) return;
+        this.scrollTarget.removeEventListener('scroll', this.handleScroll);
+        this.scrollTarget = null;
+        if (this.progressMode === 'scroll') this.progressMode = 'manual';
+    }
+
+    /**
+     * Map the bound element's scroll offset to progress
+     */
+    handleScroll() {
+        const target = this.scrollTarget;
+        if (!target) return;
+        const isWindow = target === window;
+        const element = isWindow ? document.documentElement : target;
+        const offset = isWindow ? window.scrollY : target.scrollTop;
+        const range = element.scrollHeight - element.clientHeight;
+        this.setProgress(range > 0 ? offset / range : 1);
+    }
+
+    /**
+     * Move the built dot count toward the external progress, a few dots per frame
+     */
+    updateProgress() {
+        if (!this.progressMode || this.isFadingIn) return;
+        const target = Math.round(this.progress * this.totalDots);
+        const gap = target - this.nextDotIndex;
+        if (!gap) return;
+        const count = Math.max(1, Math.ceil(Math.abs(gap) / this.progressCatchUpFrames));
+        for (let i = 0; i < count; i++) {
+            if (gap > 0) {
+                this.dropDot(this.buildSequence[this.nextDotIndex]);
+                this.nextDotIndex++;
+                this.builtDots++;
+            } else {
+                this.nextDotIndex--;
+                this.builtDots--;
+                this.liftDot(this.buildSequence[this.nextDotIndex]);
+            }
+        }
+        this.isComplete = this.nextDotIndex >= this.totalDots;
+    }
+
     /**
  * Update dot animations
  */
     updateDotAnimations() {
+        // Frame time for physics, clamped so a background tab does not explode the simulation
+        const now = Date.now();
+        const dt = Math.min(1 / 30, Math.max(0, (now - (this.lastFrameTime || now)) / 1000));
+        this.lastFrameTime = now;
+
         this.pyramidLayers.forEach(layer => {
             layer.forEach(dot => {
-                if (dot.isDropping) {
+                if (dot.isLifting) {
+                    const progress = Math.min(1, (Date.now() - dot.liftStartTime) / this.dropDuration);
+                    const easeIn = Math.pow(progress, 3);
+                    dot.y = dot.liftStartY - (this.prefersReducedMotion ? 0 : this.dropDistance * easeIn);
+                    dot.opacity = dot.liftStartOpacity * (1 - easeIn);
+                    if (progress >= 1) {
+                        dot.isLifting = false;
+                        dot.opacity = 0;
+                        dot.x = dot.targetX;
+                        dot.y = dot.targetY - this.dropDistance;
+                    }
+                }
+
+                if (dot.isDropping && this.prefersReducedMotion) {
+                    // Reduced motion: fade in place, no fall or bounce
+                    dot.x = dot.targetX;
+                    dot.y = dot.targetY;
+                    dot.opacity = Math.min(1, (Date.now() - dot.dropStartTime) / this.dropDuration);
+                    if (dot.opacity >= 1) this.landDot(dot);
+                } else if (dot.isDropping && this.dropMode === 'physics') {
+                    dot.opacity = Math.min(1, (Date.now() - dot.dropStartTime) / (this.dropDuration * 0.4));
+                    if (this.stepDropPhysics(dot, dt)) {
+                        dot.x = dot.targetX;
+                        dot.y = dot.targetY;
+                        dot.opacity = 1;
+                        this.landDot(dot);
+                    }
+                } else if (dot.isDropping) {
                     const currentTime = Date.now();
                     const elapsed = currentTime - dot.dropStartTime;
                     const progress = Math.min(1, elapsed / this.dropDuration);
@@ -314,10 +1178,9 @@ class PyramidBuilder extends HTMLElement {
 
                     // Check if drop is complete
                     if (progress >= 1) {
-                        dot.isDropping = false;
-                        dot.isBuilt = true;
                         dot.y = dot.targetY;
                         dot.opacity = 1;
+                        this.landDot(dot);
                     }
                 }
 
@@ -379,7 +1242,9 @@ class PyramidBuilder extends HTMLElement {
         }
 
         // Update dot animations
+        this.updateProgress();
         this.updateDotAnimations();
+        this.checkBuildComplete();
 
         // Render dots
         this.pyramidLayers.forEach(layer => {
@@ -444,9 +1309,12 @@ class PyramidBuilder extends HTMLElement {
         this.isComplete = false;
         this.isFadingIn = true;
         this.fadeInStartTime = Date.now();
+        this.buildStarted = false;
+        this.buildCompleted = false;
 
         // Recreate pyramid structure (this will reset to 90% pre-built)
         this.createPyramidStructure();
+        this.emit('reset', { totalDots: this.totalDots, builtDots: this.builtDots });
 
         this.startAnimation();
     }
@@ -456,13 +1324,14 @@ class PyramidBuilder extends HTMLElement {
      */
     setProperties(properties) {
         Object.assign(this, properties);
-        this.createPyramidStructure();
+        this.createPyramidStructure(true);
     }
 
     /**
      * Get build progress as percentage
      */
     getBuildProgress() {
+        if (!this.totalDots) return 0; // shape still loading or empty
         return Math.round((this.builtDots / this.totalDots) * 100);
     }
 
@@ -492,7 +1361,9 @@ class PyramidBuilder extends HTMLElement {
      */
     disconnectedCallback() {
         this.stopAnimation();
+        this.unbindScroll();
         this.observer?.disconnect();
+        this.reducedMotionMediaQuery?.removeEventListener('change', this.handleReducedMotionChange);
         window.removeEventListener('resize', this.handleResize);
     }
 }
@@ -0,0 +1,116 @@
+/**
+ * Local stand-in for a live topology feed, for developing <data-mesh-graph stream="...">.
+ * Serves Server-Sent Events at /events: a `graph` snapshot on connect, then a steady
+ * trickle of add/remove node, add/remove edge (with weight/throughput), throughput
+ * updates and pulse-edge messages.
+ *
+ *   node tools/mesh-stream-server.js [--port=8090] [--interval=400] [--drop-after=0]
+ *
+ * --drop-after=<seconds> closes each connection after that long to exercise reconnects.
+ */
+const http = require('http');
+
+const args = Object.fromEntries(process.argv.slice(2).map((arg) => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    return [key, value === undefined ? true : value];
+}));
+const port = parseInt(args.port || process.env.PORT || 8090, 10);
+const intervalMs = parseInt(args.interval || 400, 10);
+const dropAfterMs = parseFloat(args['drop-after'] || 0) * 1000;
+
+const teams = ['edge', 'payments', 'data', 'ml'];
+const graph = { nodes: [], edges: [] };
+let nextId = 0;
+
+function randomItem(list) {
+    return list[Math.floor(Math.random() * list.length)];
+}
+
+function addNode() {
+    const node = { id: 'svc-' + nextId++, group: randomItem(teams) };
+    graph.nodes.push(node);
+    return node;
+}
+
+function addEdge(source, target) {
+    if (source === target || graph.edges.some((e) => e.source === source && e.target === target)) return null;
+    const weight = Math.round(1 + Math.random() * 9);
+    const edge = { source, target, weight, throughput: weight };
+    graph.edges.push(edge);
+    return edge;
+}
+
+// Seed topology
+for (let i = 0; i < 40; i++) {
+    const node = addNode();
+    if (i > 0) addEdge(node.id, graph.nodes[Math.floor(Math.random() * i)].id);
+}
+
+// One random change to the shared graph, as a protocol message
+function nextMessage() {
+    const roll = Math.random();
+    if (roll < 0.15 || graph.nodes.length < 10) {
+        const node = addNode();
+        const peer = randomItem(graph.nodes.slice(0, -1));
+        const edge = addEdge(node.id, peer.id);
+        return [{ type: 'add-node', node }, { type: 'add-edge', ...edge }];
+    }
+    if (roll < 0.25 && graph.nodes.length > 20) {
+        const { id } = randomItem(graph.nodes);
+        graph.nodes = graph.nodes.filter((n) => n.id !== id);
+        graph.edges = graph.edges.filter((e) => e.source !== id && e.target !== id);
+        return [{ type: 'remove-node', id }];
+    }
+    if (roll < 0.45) {
+        const edge = addEdge(randomItem(graph.nodes).id, randomItem(graph.nodes).id);
+        return edge ? [{ type: 'add-edge', ...edge }] : [];
+    }
+    if (roll < 0.6 && graph.edges.length) {
+        const edge = randomItem(graph.edges);
+        graph.edges = graph.edges.filter((e) => e !== edge);
+        return [{ type: 'remove-edge', source: edge.source, target: edge.target }];
+    }
+    if (!graph.edges.length) return [];
+    const edge = randomItem(graph.edges);
+    if (roll < 0.8) {
+        // Traffic shift: re-sending an existing edge updates its throughput
+        edge.throughput = Math.round(Math.random() * 20);
+        return [{ type: 'add-edge', ...edge }];
+    }
+    return [{ type: 'pulse-edge', source: edge.source, target: edge.target }];
+}
+
+const clients = new Set();
+
+setInterval(() => {
+    const messages = nextMessage();
+    if (!messages.length) return;
+    const payload = `data: ${JSON.stringify(messages)}\n\n`;
+    clients.forEach((res) => res.write(payload));
+}, intervalMs);
+
+http.createServer((req, res) => {
+    if (req.url.split('?')[0] !== '/events') {
+        res.writeHead(404, { 'Access-Control-Allow-Origin': '*' });
+        res.end();
+        return;
+    }
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+    res.write(`data: ${JSON.stringify({ type: 'graph', ...graph })}\n\n`);
+    clients.add(res);
+
+    let dropTimer = null;
+    if (dropAfterMs > 0) dropTimer = setTimeout(() => res.end(), dropAfterMs);
+    req.on('close', () => {
+        clearTimeout(dropTimer);
+        clients.delete(res);
+    });
+}).listen(port, () => {
+    console.log(`Mesh stream server on http://localhost:${port}/events`);
+});